@@ -0,0 +1,2193 @@
+/*
+ SolarSystem
+ -----------
+ Embeddable solar system view. Each instance owns its own canvas, renderer, scene, simulation
+ clock, Tweakpane panel, info panel and listeners, so several instances can run on one page:
+
+     const view = new SolarSystem(document.querySelector('#app'), {system, date: new Date()});
+     view.on('select', (ev) => console.log(ev.name));
+     view.start();
+     // later: view.setTime('2030-01-01'); view.focus('Saturn'); view.dispose();
+
+ It builds an animated solar system scene using three.js:
+ - A textured sun at the origin that emits light (PointLight) and a subtle AmbientLight; its
+   surface boils (granulation, limb darkening) under an animated corona (sun.js), with bloom and
+   a lens flare on top (postprocessing.js).
+ - Planets, dwarf planets, moons, rings, belts and comets described by a JSON system definition
+   (systems/*.json); the bundled one adds Ceres, Pluto and Charon, Haumea, Makemake, Eris, the
+   Kuiper belt and comets Halley and Encke.
+ - Planets and moons placed on Keplerian orbits (kepler.js) for a simulation Julian date.
+ - Comets with a coma and ion/dust tails that grow near perihelion and point away from the sun
+   (comets.js).
+ - Fading time-lapse trails of each planet's and moon's world-space path (trails.js).
+ - Scale modes (scaleModes.js): the artistic layout, true distances, true sizes or a logarithmic
+   compression, with animated switches.
+ - Atmosphere halos (atmosphere.js) and Earth's layered day/night surface (surfaceModels.js).
+ - Planetary rings drawn from radial color/alpha profiles (Saturn's A/B/C rings and Cassini
+   division, the faint rings of Uranus and Neptune) with instanced rocks for close-ups, and
+   asteroid belts and Jupiter's Trojans using InstancedMesh, every rock on its own Kepler orbit
+   (solved on the GPU) with Kirkwood gaps in the main belt.
+ - A Tweakpane UI to toggle orbit lines and drive the simulation clock (date, pause, reverse, rate).
+ - Click-to-select bodies with an HTML info panel, camera fly-to and follow for any body.
+ - A command palette (Ctrl+K / Cmd+K, commandPalette.js) that fuzzy-searches every body and
+   action, and single-key shortcuts for the display toggles (listed in the palette). With several
+   instances on a page, the keys go to the one the pointer last entered.
+ - Deep links (viewLink.js): getLink()/applyLink() turn the date, camera, focus, scale mode and
+   display toggles into a URL hash and back; "Copy link" puts the full URL on the clipboard.
+ - Capture (capture.js): PNGs of any size rendered in tiles (labels included), and WebM videos
+   of a fixed-step run: every frame advances the simulation by exactly 1/fps, whatever it costs.
+ - Guided tours (tours.js): JSON steps that fly the camera, set the date and settings and show
+   captions, with a player (play/pause/previous/next, also ←/→ and PageUp/PageDown) and an
+   authoring panel that records the current view as a keyframe (tourAuthor.js).
+ - Free flight (freeFlight.js, V or setFreeFlight()): a spaceship camera with WASD thrust, mouse
+   look, roll and boost that cannot enter any body; the space dust streams past at its velocity.
+ - Body views (bodyView.js, viewFrom()): stand on a planet or moon at a latitude/longitude, or
+   ride alongside it in its orbital frame, with a horizon and compass overlay.
+ - Measurement (measure.js, measure()): a live line between two bodies or a body and the camera
+   with the distance, the real distance and light time, and the angular separation seen from a
+   third body.
+
+ Events (subscribe with on(name, fn); on() returns an unsubscribe function):
+ - 'start' / 'stop'  : the render loop started or stopped.
+ - 'frame'           : {jd, dt} after every rendered frame.
+ - 'jump'            : {jd} when the simulation clock jumps (setTime, "Jump to Date", "Now").
+ - 'select'          : {name, kind} for a clicked body, or null when the selection clears.
+ - 'focus'           : {name} when the camera starts flying to a body; name is null for the overview.
+ - 'load'            : {failed} once every texture finished loading; failed lists the paths that
+                       could not be loaded (those bodies show procedural surfaces instead).
+ - 'assetError'      : {path} for each texture that failed to load.
+ - 'quality'         : {level, auto} when a quality preset is applied (manually or by auto mode).
+ - 'scale'           : {mode} when a scale mode switch has finished.
+ - 'tour'            : {title, index, count} when a tour step is shown, or null when the tour closes.
+ - 'dispose'         : the instance was disposed.
+*/
+import * as THREE from 'three'; // Core 3D library
+import {OrbitControls} from 'three/examples/jsm/controls/OrbitControls.js'; // Mouse/touch navigation helper
+import {Pane} from 'tweakpane'; // UI library for simple controls
+import {orbitalPosition, spinAngleAt, trueAnomalyAt, dateToJulian} from './kepler.js';
+import {createSimClock, formatSimDate, parseSimDate, TIME_RATES} from './simClock.js';
+import {createSelection} from './selection.js';
+import {createInfoPanel} from './infoPanel.js';
+import {createCameraFocus} from './cameraFocus.js';
+import {createFreeFlight} from './freeFlight.js';
+import {BODY_VIEW_MODES, createBodyView} from './bodyView.js';
+import {createMeasureTool, MEASURE_CAMERA} from './measure.js';
+import {parseSystem} from './systemLoader.js';
+import {createTextureCache} from './textures.js';
+import {createLoadingScreen} from './loadingScreen.js';
+import {buildMoon, buildPlanetWithTilt, createAsteroidBelt, createOrbitLine, createPlanetRing, createTrojanSwarms, moonSegments, orbitLineMoves, orientOrbitLine, placeBody, sphereSegments, updateBeltOrbits} from './bodies.js';
+import {createAutoQuality, QUALITY_LEVELS, QUALITY_PRESETS} from './quality.js';
+import {createEclipseShadows} from './shadows.js';
+import {createSurfaceModel} from './surfaceModels.js';
+import {createAtmosphere} from './atmosphere.js';
+import {createSun, updateSun} from './sun.js';
+import {computeScaleLayout, lerpScaleLayout, SCALE_MODES} from './scaleModes.js';
+import {createTrail} from './trails.js';
+import {cometPosition, createComet} from './comets.js';
+import {createLensFlare, createPostProcessing, updateLensFlare} from './postprocessing.js';
+import {createSpacePebbles, updateSpacePebbles} from './spaceDust.js';
+import {makeLabelMesh} from './labels.js';
+import {LAYERS, setLayer} from './layers.js';
+import {createCommandPalette} from './commandPalette.js';
+import {parseViewLink, serializeViewLink} from './viewLink.js';
+import {canvasToBlob, downloadBlob, recordWebM, renderTiled} from './capture.js';
+import {createTourPlayer, parseTour} from './tours.js';
+import {createTourAuthor} from './tourAuthor.js';
+import defaultSystem from './systems/solar-system.json';
+import grandTour from './tours/grand-tour.json';
+
+/*
+ Default UI/runtime parameters. Every instance gets its own copy, merged with options.params.
+ - showOrbits / labelsEnabled / show*: render layers (layers.js) for orbit lines, labels and each
+   category of body, toggled on the camera.
+ - timeScale: multiplier on the clock's preset rate; timeRate/timeReverse mirror the clock.
+ - spaceDust*: near-camera pebble field; labels*: troika body labels.
+ - freeFlight: spaceship camera (freeFlight.js) instead of OrbitControls; flightSpeed is its
+   cruise speed as a fraction of the system's extent per second, so it suits every scale mode.
+ - viewBody / viewMode / viewLat / viewLon: the body view (bodyView.js); '' = none.
+ - measureFrom / measureTo / measureObserver: measurement endpoints and the body the angular
+   separation is seen from (measure.js): body names, MEASURE_CAMERA for the camera, '' = none.
+*/
+const DEFAULT_PARAMS = {
+    showOrbits: true, // initial visibility state for orbit lines
+    showPlanets: true,
+    showMoons: true,
+    showDwarfPlanets: true,
+    showComets: true,
+    showBelts: true,
+    showRings: true,
+    timeScale: 1.0, // default normal speed
+    timeRate: 'hour', // key of TIME_RATES (1 s = 1 hour/day/year)
+    timeReverse: false, // play backwards
+    spaceDustEnabled: true,
+    spaceDustCount: 800,     // 300–1200 depending on perf
+    spaceDustSpeed: 0.6,     // units/sec toward camera
+    spaceDustSize: 1.5,      // point size
+    spaceDustSpread: 40,     // x/y spread around view
+    spaceDustMinScale: 0.05,   // smallest pebble
+    spaceDustMaxScale: 0.22,   // largest pebble
+    spaceDustRotSpeed: 1.2,    // avg spin (rad/sec), randomized per pebble
+    shadows: true, // analytic eclipse and ring shadows (shadows.js)
+    atmospheres: true, // scattering shells for bodies with an atmosphere (atmosphere.js)
+    bloom: true, // post-processing bloom; off renders directly (weak GPUs)
+    bloomStrength: 0.8,
+    lensFlare: true,
+    shadowSoftness: 0.05, // light disk radius for penumbrae, as a fraction of the star radius
+    labelsEnabled: true,
+    labelSize: 0.6,  // text size in scene units
+    quality: 'high', // 'auto' or one of QUALITY_LEVELS (quality.js)
+    scaleMode: 'artistic', // one of SCALE_MODES (scaleModes.js)
+    trails: false, // time-lapse trails (trails.js)
+    trailWindow: 365.25, // days of simulation time each trail covers
+    trailBodies: {}, // body name -> trail toggle; filled from each body's `trail.enabled`
+    captureWidth: 3840, // high-resolution PNG size (capture.js)
+    captureHeight: 2160,
+    recordSeconds: 10, // WebM length and frame rate; the simulation advances 1/fps per frame
+    recordFps: 30,
+    freeFlight: false,
+    flightSpeed: 0.05,
+    viewBody: '', // planet or moon the camera is attached to, '' = none
+    viewMode: 'surface', // one of BODY_VIEW_MODES
+    viewLat: 0, // surface observer, degrees north
+    viewLon: 0, // degrees east
+    measureFrom: '',
+    measureTo: '',
+    measureObserver: '',
+    focus: '' // '' = overview, otherwise a body name
+};
+
+// Rocky surface for the near-camera pebbles when the dust texture is missing
+const DUST_FALLBACK = {type: 'rocky', color: 0x8a8178, seed: 'dust'};
+
+const _ringCenter = new THREE.Vector3(); // scratch vector for the ring particle distance check
+const _trailParent = new THREE.Vector3(); // scratch: a moon's parent position in trail sampling
+const _labelPos = new THREE.Vector3(); // scratch vectors for label placement
+const _labelScale = new THREE.Vector3();
+const _labelOffset = new THREE.Vector3();
+const _flightFrom = new THREE.Vector3(); // scratch: camera pose before this frame's flight step
+const _flightFromQuat = new THREE.Quaternion();
+const _flightDir = new THREE.Vector3();
+const _dustMove = new THREE.Vector3(); // camera-space motion of the pebbles this frame
+const _dustTurn = new THREE.Quaternion();
+const _flightInverse = new THREE.Quaternion(); // scratch: inverse of the camera's orientation
+const _moonOffset = new THREE.Vector3(); // scratch: a moon's position around its parent, in AU
+const _moonFrame = new THREE.Quaternion();
+
+const MOON_LABEL_SCALE = 0.7; // moon labels relative to planet labels
+const MOON_LABEL_RANGE = 3; // moon labels show within this many moon-system radii of the parent
+
+const SCALE_TRANSITION = 2; // seconds for an animated scale mode switch
+const easeInOut = (k) => k * k * (3 - 2 * k);
+
+// Tweakpane v3/v4 compatible binding
+const bindControl = (target, obj, key, options) =>
+    target.addInput ? target.addInput(obj, key, options) : target.addBinding(obj, key, options);
+
+const fmt = (value, digits = 2) => Number(value).toFixed(digits); // compact number display
+
+// Single-key shortcuts for boolean params: [key, param, palette title]
+const PARAM_SHORTCUTS = [
+    ['o', 'showOrbits', 'Orbits'],
+    ['l', 'labelsEnabled', 'Labels'],
+    ['p', 'showPlanets', 'Planets'],
+    ['m', 'showMoons', 'Moons'],
+    ['d', 'showDwarfPlanets', 'Dwarf planets'],
+    ['c', 'showComets', 'Comets'],
+    ['b', 'showBelts', 'Belts'],
+    ['r', 'showRings', 'Rings'],
+    ['t', 'trails', 'Trails'],
+    ['a', 'atmospheres', 'Atmospheres'],
+    ['e', 'shadows', 'Eclipse shadows'],
+    ['g', 'bloom', 'Bloom'],
+    ['f', 'lensFlare', 'Lens flare'],
+    ['v', 'freeFlight', 'Free flight']
+];
+const VIEW_PARAMS = ['viewBody', 'viewMode', 'viewLat', 'viewLon'];
+const MEASURE_PARAMS = ['measureFrom', 'measureTo', 'measureObserver'];
+const LAYER_PARAMS = ['showOrbits', 'labelsEnabled', 'showPlanets', 'showMoons', 'showDwarfPlanets', 'showComets', 'showBelts', 'showRings'];
+const MAX_CAPTURE_SIZE = 16384; // px per side; browsers refuse larger 2D canvases
+const SCALE_MODE_TITLES = {'artistic': 'Artistic', 'true-distance': 'True distances', 'true-size': 'True sizes', 'logarithmic': 'Logarithmic'};
+
+let activeView = null; // instance that receives keyboard shortcuts (pointer last entered it)
+
+export class SolarSystem {
+    /**
+     * @param {HTMLElement} container - Element the view fills; overlays are positioned inside it.
+     * @param {{system?:object, date?:Date, rate?:number, params?:object, ui?:boolean, loadingScreen?:boolean, quality?:string, link?:string}} [options]
+     *   system: definition (validated with parseSystem; throws SystemValidationError), defaults to the bundled one.
+     *   date: initial simulation date (default now). ui: show the Tweakpane panel (default true).
+     *   loadingScreen: show texture loading progress and failures over the view (default true).
+     *   quality: 'low' | 'medium' | 'high' | 'ultra' | 'auto' (default 'high', see quality.js).
+     *   link: URL hash from getLink() to restore once everything is built (invalid entries are ignored).
+     */
+    constructor(container, options = {}) {
+        if (!container) throw new Error('SolarSystem needs a container element'); // defensive check
+        this.container = container;
+        this.options = {ui: true, loadingScreen: true, ...options};
+        this.system = parseSystem(options.system ?? defaultSystem);
+        this.params = {...DEFAULT_PARAMS, ...options.params};
+        if (options.quality) this.params.quality = options.quality;
+
+        // Active quality preset; 'auto' starts from 'high' and lets the frame-time watcher adjust it
+        if (this.params.quality !== 'auto' && !QUALITY_PRESETS[this.params.quality]) this.params.quality = DEFAULT_PARAMS.quality;
+        this.qualityLevel = this.params.quality === 'auto' ? 'high' : this.params.quality;
+        this.quality = QUALITY_PRESETS[this.qualityLevel];
+        this._autoQuality = createAutoQuality({level: this.qualityLevel});
+        this._qualityMode = this.params.quality; // what setQuality() last applied
+
+        this._listeners = new Map(); // event name -> Set of handlers
+        this._running = false;
+
+        // overlays (info panel, pane) are absolutely positioned inside the container
+        if (getComputedStyle(container).position === 'static') container.style.position = 'relative';
+
+        /*
+         Simulation clock (simClock.js): owns the Julian date the scene shows. It advances every
+         frame by dt * rate * timeScale, can be paused or reversed, and jumping to a date
+         re-places every planet and moon immediately.
+        */
+        this.simClock = createSimClock({
+            date: options.date,
+            rate: options.rate ?? TIME_RATES[this.params.timeRate] ?? TIME_RATES.hour,
+            scale: this.params.timeScale,
+            reversed: this.params.timeReverse
+        });
+
+        // THREE.Clock gives us delta time between frames so animation speed is independent of FPS
+        this.clock = new THREE.Clock(false);
+
+        /*
+         Textures load through a LoadingManager that drives the loading screen. A failed file is
+         reported (console, loading screen, 'assetError') and replaced by a procedural surface.
+        */
+        const manager = new THREE.LoadingManager();
+        this.loadingScreen = this.options.loadingScreen
+            ? createLoadingScreen({container, manager, onDone: (failed) => this._emit('load', {failed})})
+            : null;
+        if (!this.loadingScreen) manager.onLoad = () => this._emit('load', {failed: this.textures.failed.slice()});
+        this.textures = createTextureCache({
+            manager,
+            tier: this.quality.textureTier,
+            onError: (path) => {
+                if (this.loadingScreen) this.loadingScreen.addError(path);
+                this._emit('assetError', {path});
+            }
+        }); // per-instance, freed in dispose()
+
+        // Eclipses, transits and ring shadows: occluder spheres shared by every patched material
+        this.eclipses = createEclipseShadows({
+            sunRadius: this.system.star.radius * this.params.shadowSoftness,
+            enabled: this.params.shadows
+        });
+
+        // Everything is built in the artistic layout, then switched to the requested scale mode
+        if (!SCALE_MODES.includes(this.params.scaleMode)) this.params.scaleMode = DEFAULT_PARAMS.scaleMode;
+        this._scaleLayout = computeScaleLayout(this.system, 'artistic'); // sizes currently applied
+        this._scaleTransition = null;
+
+        this._buildScene();
+        this._buildBodies();
+        this._buildCamera();
+        this._buildRenderer();
+        this._buildInteraction();
+        this._buildKeyboard();
+        if (this.params.scaleMode !== 'artistic') this.setScaleMode(this.params.scaleMode, {animate: false});
+        if (this.options.ui) this._buildPane();
+        if (this.loadingScreen) this.loadingScreen.settle(); // every texture has been requested by now
+
+        // Create near-camera pebbles
+        this.scene.userData.spaceDust = this._createSpaceDust();
+
+        // Place bodies for the clock's starting date, and again whenever the clock jumps
+        this._updateBodies(this.simClock.jd); // initial placement before the first frame
+        this._offJump = this.simClock.onJump((jd) => {
+            this._updateBodies(jd);
+            this.trails.forEach((trail) => trail.reset()); // no segment across the jump
+            this.params.jumpDate = formatSimDate(jd);
+            if (this.pane) this.pane.refresh(); // reflect the new date in the text field
+            this._emit('jump', {jd});
+        });
+
+        if (options.link) this.applyLink(options.link);
+    }
+
+    // ---------------------------------------------------------------------------------------
+    // Public API
+    // ---------------------------------------------------------------------------------------
+
+    /**
+     * Subscribe to an event (see the list at the top of this file).
+     * @param {string} name
+     * @param {function(any):void} handler
+     * @returns {function():void} Unsubscribe function.
+     */
+    on(name, handler) {
+        if (!this._listeners.has(name)) this._listeners.set(name, new Set());
+        this._listeners.get(name).add(handler);
+        return () => this.off(name, handler);
+    }
+
+    off(name, handler) {
+        const set = this._listeners.get(name);
+        if (set) set.delete(handler);
+    }
+
+    /** Start (or resume) the render loop. */
+    start() {
+        if (this._running || !this.renderer) return;
+        this._running = true;
+        this.clock.start(); // resets the delta so a pause does not turn into one huge step
+        this.renderer.setAnimationLoop(this._frame);
+        this._emit('start');
+    }
+
+    /** Stop the render loop; the scene stays intact and can be restarted. */
+    stop() {
+        if (!this._running) return;
+        this._running = false;
+        this.renderer.setAnimationLoop(null);
+        this.clock.stop();
+        this._emit('stop');
+    }
+
+    /**
+     * Jump the simulation to a moment in time.
+     * @param {Date|number|string} time - Date, Julian date (number) or a date string ("2030-01-01 12:00").
+     * @returns {boolean} false when the value could not be understood.
+     */
+    setTime(time) {
+        let jd = null;
+        if (time instanceof Date) jd = dateToJulian(time);
+        else if (typeof time === 'number') jd = time;
+        else if (typeof time === 'string') {
+            const date = parseSimDate(time);
+            if (date) jd = dateToJulian(date);
+        }
+        if (jd === null || !Number.isFinite(jd)) return false;
+        this.simClock.setJulianDate(jd);
+        return true;
+    }
+
+    /**
+     * Fly the camera to a body by name and follow it; null/'' returns to the overview.
+     * @param {string|null} name
+     * @param {{offset?:number[]}} [options] - offset: camera position relative to the body on
+     *   arrival, [x, y, z] in scene units (default: a few radii out along the current view).
+     * @returns {boolean} false when no body has that name.
+     */
+    focus(name, {offset} = {}) {
+        const target = name ? this.bodies.get(name) : null;
+        if (name && !target) return false;
+        this._leaveFlight();
+        this._leaveBodyView();
+        this.params.focus = target ? name : '';
+        if (this.pane) this.pane.refresh();
+        this.cameraFocus.focus(target || null, offset && new THREE.Vector3().fromArray(offset));
+        this._emit('focus', {name: target ? name : null});
+        return true;
+    }
+
+    /**
+     * The camera as a keyframe: the followed body ('' in the overview), the controls target and
+     * the camera position relative to it (scene units).
+     * @returns {{focus:string, offset:number[], target:number[]}}
+     */
+    getCameraKeyframe() {
+        const {camera, controls} = this;
+        return {
+            focus: this.cameraFocus.target ? this.params.focus : '',
+            offset: camera.position.clone().sub(controls.target).toArray(),
+            target: controls.target.toArray()
+        };
+    }
+
+    /**
+     * Fly to a camera keyframe (getCameraKeyframe): around a body when `focus` names one, else to
+     * the absolute target. Without offset and target this is focus(focus).
+     * @param {{focus?:string, offset?:number[], target?:number[]}} keyframe
+     * @returns {boolean} false when no body has that name.
+     */
+    flyTo({focus = '', offset, target} = {}) {
+        if (focus || !offset || !target) return this.focus(focus, {offset});
+        const to = new THREE.Vector3().fromArray(target);
+        this._leaveFlight();
+        this._leaveBodyView();
+        this.params.focus = '';
+        if (this.pane) this.pane.refresh();
+        this.cameraFocus.flyTo(to.clone().add(new THREE.Vector3().fromArray(offset)), to);
+        this._emit('focus', {name: null});
+        return true;
+    }
+
+    /**
+     * Set several params at once with their side effects (layers, clock, shadows...), as the panel
+     * would. Unknown keys, values of the wrong type, 'focus' (use focus()) and 'trailBodies' are skipped.
+     * @param {object} values - e.g. {showOrbits: false, labelSize: 1.2, scaleMode: 'true-distance'}.
+     * @param {{animate?:boolean}} [options] - animate: animate a scale mode switch (default true).
+     * @returns {boolean} false when something was skipped.
+     */
+    setParams(values, {animate = true} = {}) {
+        let applied = true;
+        Object.entries(values).forEach(([key, value]) => {
+            const current = DEFAULT_PARAMS[key];
+            const valid = current !== undefined && key !== 'focus' && key !== 'trailBodies' && typeof value === typeof current &&
+                (typeof value !== 'number' || Number.isFinite(value)) && (key !== 'timeRate' || value in TIME_RATES);
+            if (!valid) applied = false;
+            else if (key === 'scaleMode') applied = this.setScaleMode(value, {animate}) && applied;
+            else if (key === 'quality') applied = this.setQuality(value) && applied;
+            else {
+                this.params[key] = value;
+                this._applyParam(key);
+            }
+        });
+        if (this.pane) this.pane.refresh();
+        return applied;
+    }
+
+    /**
+     * Play a guided tour (see tours.js) from its first step.
+     * @param {object} tour - Tour definition; validated with parseTour.
+     * @param {{autoplay?:boolean}} [options] - autoplay: false shows the first step paused.
+     * @throws {import('./tours.js').TourValidationError}
+     */
+    playTour(tour, {autoplay = true} = {}) {
+        this.tourPlayer.load(parseTour(tour), {autoplay});
+    }
+
+    /**
+     * The current view as a tour step: camera keyframe, date, time scale and the tour settings.
+     * @returns {object}
+     */
+    captureTourStep() {
+        const {params, simClock} = this;
+        const {focus, offset, target} = this.getCameraKeyframe();
+        const round = (v) => Number(v.toPrecision(7));
+        return {
+            focus,
+            camera: focus ? {offset: offset.map(round)} : {offset: offset.map(round), target: target.map(round)},
+            date: formatSimDate(simClock.jd).replace(/ UTC$/, ''),
+            timeScale: params.timeScale,
+            paused: simClock.paused,
+            showOrbits: params.showOrbits,
+            labelsEnabled: params.labelsEnabled,
+            scaleMode: params.scaleMode
+        };
+    }
+
+    /**
+     * Switch free flight (freeFlight.js) on or off. On: the camera stops following, OrbitControls
+     * let go and the keyboard and mouse fly it from where it is. Off: it flies back to the overview.
+     * focus(), flyTo() and links also end free flight, at their own destination.
+     * @param {boolean} on
+     */
+    setFreeFlight(on) {
+        if (!on) {
+            if (this.flight.enabled) this.focus(null);
+            this.params.freeFlight = false;
+            return;
+        }
+        if (this.flight.enabled) return;
+        this._leaveBodyView();
+        this.cameraFocus.follow(null); // stops a flight or follow in progress, overview near plane
+        this.controls.enabled = false;
+        this.params.focus = '';
+        this.params.freeFlight = true;
+        this.flight.enable();
+        if (this.pane) this.pane.refresh();
+        this._emit('focus', {name: null});
+    }
+
+    /**
+     * Look from a planet, dwarf planet or moon (bodyView.js): 'surface' stands an observer at
+     * lat/lon on it, turning with its day and tilt; 'ride' flies alongside it in its orbital
+     * frame. Drag to look around, use the wheel to zoom. Calling it again on the same body moves
+     * the observer and keeps the look direction. null/'' flies back to the overview; focus(),
+     * flyTo(), free flight and links also end the view.
+     * @param {string|null} name
+     * @param {{mode?:string, lat?:number, lon?:number}} [options] - mode: one of BODY_VIEW_MODES;
+     *   lat/lon in degrees, north and east positive (default: the view params).
+     * @returns {boolean} false for an unknown body (or the star, a comet) or mode.
+     */
+    viewFrom(name, {mode = this.params.viewMode, lat = this.params.viewLat, lon = this.params.viewLon} = {}) {
+        if (!name) {
+            if (this.bodyView.mode) this.focus(null);
+            this.params.viewBody = '';
+            return true;
+        }
+        const mesh = this.bodies.get(name);
+        if (!this._occluders.includes(mesh) || !BODY_VIEW_MODES.includes(mode) || !Number.isFinite(lat) || !Number.isFinite(lon)) return false;
+        this._leaveFlight();
+        if (!this.bodyView.mode) {
+            this.cameraFocus.follow(null); // stops a flight or follow in progress, overview near plane
+            this.controls.enabled = false;
+            this._emit('focus', {name: null});
+        }
+        // a moon orbits its parent's moon group, a planet's tilt group orbits the sun
+        const moon = mesh.userData.kind === 'moon';
+        this.bodyView.enable(mesh, mode, {
+            lat,
+            lon,
+            center: moon ? mesh.parent : mesh.parent.parent,
+            names: {body: name, center: moon ? mesh.userData.parentBody.name : this.sun.name}
+        });
+        Object.assign(this.params, {viewBody: name, viewMode: mode, viewLat: THREE.MathUtils.clamp(lat, -90, 90), viewLon: lon, focus: ''});
+        if (this.pane) this.pane.refresh();
+        return true;
+    }
+
+    /**
+     * Measure between two bodies, or a body and the camera, live (measure.js): a line labelled
+     * with its length, the real distance and light time, and the angular separation seen from a
+     * third body. measure(null) removes it.
+     * @param {string|null} from - Body name, or 'camera'.
+     * @param {string} [to] - Body name, or 'camera'.
+     * @param {{observer?:string}} [options] - observer: body the separation is seen from ('' = none).
+     * @returns {boolean} false for an unknown name or twice the same endpoint (nothing changes then).
+     */
+    measure(from, to, {observer = ''} = {}) {
+        const {params} = this;
+        const endpoint = (name) => {
+            if (name === 'camera' || name === MEASURE_CAMERA) return MEASURE_CAMERA;
+            return this.bodies.has(name) ? name : null;
+        };
+        if (!from) {
+            Object.assign(params, {measureFrom: '', measureTo: '', measureObserver: ''});
+            this.measureTool.hide();
+        } else {
+            const [a, b] = [endpoint(from), endpoint(to)];
+            if (!a || !b || a === b || (observer && (!this.bodies.has(observer) || observer === a || observer === b))) return false;
+            Object.assign(params, {measureFrom: a, measureTo: b, measureObserver: observer});
+            this._updateMeasurement(); // right away, also while the loop is stopped
+        }
+        if (this.pane) this.pane.refresh();
+        return true;
+    }
+
+    /**
+     * The live measurement (see measure()), or null.
+     * @returns {{from:string, to:string, observer:string, units:number, au:number|null, km:number|null,
+     *   lightSeconds:number|null, angle:number|null, physicalAngle:boolean}|null}
+     *   au/km/lightSeconds: null when an endpoint has no real position (the camera outside the
+     *   true-distance mode); angle: degrees, null without an observer.
+     */
+    getMeasurement() {
+        const {result} = this.measureTool;
+        if (!result) return null;
+        const {measureFrom, measureTo, measureObserver} = this.params;
+        const name = (value) => (value === MEASURE_CAMERA ? 'camera' : value);
+        return {from: name(measureFrom), to: name(measureTo), observer: measureObserver, ...result};
+    }
+
+    /** Show the tour authoring panel. */
+    openTourAuthor() {
+        this.tourAuthor.open();
+    }
+
+    /**
+     * Switch the quality preset (textures, sphere detail, asteroid/ring counts, pixel ratio).
+     * @param {string} level - 'low' | 'medium' | 'high' | 'ultra', or 'auto' to adapt to the frame time.
+     * @returns {boolean} false for an unknown level.
+     */
+    setQuality(level) {
+        if (level !== 'auto' && !QUALITY_PRESETS[level]) return false;
+        if (level !== this._qualityMode) {
+            this._qualityMode = level;
+            if (level === 'auto') this._autoQuality.reset(this.qualityLevel); // measure from the current preset
+            else this._applyQuality(level);
+        }
+        this.params.quality = level;
+        if (this.pane) this.pane.refresh();
+        return true;
+    }
+
+    /**
+     * Switch how distances and radii are scaled (see scaleModes.js). The switch is animated while
+     * the render loop runs; orbit lines, labels, the far plane and the camera limits follow.
+     * @param {string} mode - 'artistic' | 'true-distance' | 'true-size' | 'logarithmic'.
+     * @param {{animate?:boolean}} [options] - animate: false applies the new sizes at once.
+     * @returns {boolean} false for an unknown mode.
+     */
+    setScaleMode(mode, {animate = true} = {}) {
+        if (!SCALE_MODES.includes(mode)) return false;
+        this.params.scaleMode = mode;
+        if (this.pane) this.pane.refresh();
+        const pending = this._scaleTransition;
+        if ((pending ? pending.to : this._scaleLayout).mode !== mode) {
+            // start from whatever is on screen, even halfway through another switch
+            this._scaleTransition = {from: this._scaleLayout, to: computeScaleLayout(this.system, mode), elapsed: 0};
+        }
+        if (this._scaleTransition && (!animate || !this._running)) this._stepScaleTransition(SCALE_TRANSITION); // jump to the end
+        return true;
+    }
+
+    /**
+     * Set the time scale (multiplier on the clock's rate preset).
+     * @param {number} scale - 0..100; clamped.
+     * @returns {boolean} false when the value is not a number.
+     */
+    setTimeScale(scale) {
+        const value = Number(scale);
+        if (scale === '' || scale === null || !Number.isFinite(value)) return false;
+        this.params.timeScale = THREE.MathUtils.clamp(value, 0, 100);
+        this.simClock.scale = this.params.timeScale;
+        if (this.pane) this.pane.refresh();
+        return true;
+    }
+
+    /**
+     * Pause or resume the simulation clock (the render loop keeps running).
+     * @param {boolean} paused
+     */
+    setPaused(paused) {
+        this.simClock.paused = !!paused;
+        if (this._playButton) this._playButton.title = this.simClock.paused ? 'Play' : 'Pause';
+    }
+
+    /**
+     * Render a fresh frame and save the canvas as a PNG.
+     * @param {{download?:boolean, filename?:string}} [options] - download: save the file (default true).
+     * @returns {Promise<Blob>}
+     */
+    screenshot({download = true, filename} = {}) {
+        this._render(); // the drawing buffer is only valid right after a render
+        return canvasToBlob(this.renderer.domElement).then((blob) => {
+            if (download) downloadBlob(blob, filename ?? this._captureName('png'));
+            return blob;
+        });
+    }
+
+    /**
+     * Render a PNG of any size in tiles (labels included), independent of the canvas size.
+     * @param {{width?:number, height?:number, tileSize?:number, download?:boolean, filename?:string}} [options]
+     *   width/height: pixels, 1..16384 (default params.captureWidth/captureHeight).
+     * @returns {Promise<Blob>}
+     */
+    captureImage({width = this.params.captureWidth, height = this.params.captureHeight, tileSize = 1024, download = true, filename} = {}) {
+        const valid = (n) => Number.isInteger(n) && n > 0 && n <= MAX_CAPTURE_SIZE;
+        if (!valid(width) || !valid(height)) return Promise.reject(new RangeError(`Capture size must be 1..${MAX_CAPTURE_SIZE} pixels`));
+        if (this._capturing) return Promise.reject(new Error('A capture is already running'));
+        const {camera, renderer, postprocessing} = this;
+        this._capturing = true;
+        let image;
+        try {
+            camera.aspect = width / height;
+            camera.updateProjectionMatrix();
+            renderer.setPixelRatio(1);
+            postprocessing.setPixelRatio(1);
+            image = renderTiled({
+                camera,
+                width,
+                height,
+                tileSize,
+                source: renderer.domElement,
+                setSize: (w, h) => {
+                    renderer.setSize(w, h, false); // drawing buffer only, the page layout stays
+                    postprocessing.setSize(w, h);
+                },
+                render: () => this._render()
+            });
+        } finally {
+            this._capturing = false;
+            this.resize(); // back to the container's size and pixel ratio
+        }
+        return canvasToBlob(image).then((blob) => {
+            if (download) downloadBlob(blob, filename ?? this._captureName('png'));
+            return blob;
+        });
+    }
+
+    /**
+     * Record a WebM of a fixed-step run: the render loop pauses and every frame advances the
+     * simulation (clock, camera flights, scale switches) by exactly 1/fps, so the video is smooth
+     * even when frames render slowly. The loop resumes afterwards.
+     * @param {{seconds?:number, fps?:number, width?:number, height?:number, bitrate?:number,
+     *   download?:boolean, filename?:string, onProgress?:function(number):void}} [options]
+     *   width/height default to the canvas size (rounded down to even numbers for the encoder).
+     * @returns {Promise<Blob>}
+     */
+    async recordVideo({seconds = this.params.recordSeconds, fps = this.params.recordFps, width, height, bitrate, download = true, filename, onProgress} = {}) {
+        if (this._capturing) throw new Error('A capture is already running');
+        if (!(seconds > 0) || !(fps > 0)) throw new RangeError('seconds and fps must be positive');
+        const {camera, renderer, postprocessing} = this;
+        const canvasSize = renderer.getDrawingBufferSize(new THREE.Vector2());
+        const even = (n) => Math.max(2, Math.floor(Math.min(n, MAX_CAPTURE_SIZE) / 2) * 2);
+        const w = even(width ?? canvasSize.x);
+        const h = even(height ?? canvasSize.y);
+
+        const wasRunning = this._running;
+        this.stop();
+        this._capturing = true;
+        let blob;
+        try {
+            camera.aspect = w / h;
+            camera.updateProjectionMatrix();
+            renderer.setPixelRatio(1);
+            renderer.setSize(w, h, false);
+            postprocessing.setPixelRatio(1);
+            postprocessing.setSize(w, h);
+            blob = await recordWebM({
+                canvas: renderer.domElement,
+                frames: Math.max(1, Math.round(seconds * fps)),
+                fps,
+                bitrate,
+                step: () => this._step(1 / fps),
+                onProgress
+            });
+        } finally {
+            this._capturing = false;
+            this.resize();
+            if (wasRunning) this.start();
+        }
+        if (download) downloadBlob(blob, filename ?? this._captureName('webm'));
+        return blob;
+    }
+
+    /**
+     * URL hash describing the current view: date, camera, focus, scale mode and display params.
+     * @returns {string} '#…', for applyLink() or a shareable URL.
+     */
+    getLink() {
+        const {camera, controls, params, simClock} = this;
+        return serializeViewLink({
+            jd: simClock.jd,
+            paused: simClock.paused,
+            focus: this.cameraFocus.target ? params.focus : '',
+            camera: camera.position.toArray(),
+            target: controls.target.toArray(),
+            params
+        });
+    }
+
+    /**
+     * Restore a view from a getLink() hash. Malformed, out-of-range and unknown entries (including
+     * bodies this system does not have) are skipped and keep their current values.
+     * @param {string} hash
+     * @returns {boolean} false when the hash held nothing usable.
+     */
+    applyLink(hash) {
+        const state = parseViewLink(hash);
+        const {params: link} = state;
+        const body = state.focus ? this.bodies.get(state.focus) : null;
+        if (state.jd === undefined && state.paused === undefined && !body && !state.target && !Object.keys(link).length) return false;
+
+        if (state.jd !== undefined) this.setTime(state.jd);
+        if (state.paused !== undefined) this.setPaused(state.paused);
+        this.setParams(link, {animate: false}); // camera values are in the new scale mode's units
+
+        // camera: around the focused body's position for the restored date, or absolute
+        const {camera, controls, cameraFocus} = this;
+        this._updateBodies(this.simClock.jd);
+        this.scene.updateMatrixWorld();
+        if (body || state.target) {
+            this._leaveFlight();
+            this._leaveBodyView();
+        }
+        if (body && state.offset) {
+            cameraFocus.follow(body);
+            body.getWorldPosition(controls.target);
+        } else if (body) {
+            this.focus(state.focus); // no saved framing: fly there
+        } else if (state.target) {
+            cameraFocus.follow(null);
+            controls.target.fromArray(state.target);
+        }
+        if (state.offset && (body || state.target)) {
+            this.params.focus = body ? state.focus : '';
+            camera.position.copy(controls.target).add(new THREE.Vector3().fromArray(state.offset));
+            controls.update();
+            this._emit('focus', {name: body ? state.focus : null});
+        }
+        if (this.pane) this.pane.refresh();
+        return true;
+    }
+
+    /**
+     * Copy a URL that restores the current view (this page with getLink() as its hash).
+     * @returns {Promise<string>} The URL; rejects when the clipboard is not available.
+     */
+    copyLink() {
+        const {origin, pathname, search} = window.location;
+        const url = `${origin}${pathname}${search}${this.getLink()}`;
+        if (!navigator.clipboard) return Promise.reject(new Error('Clipboard not available'));
+        return navigator.clipboard.writeText(url).then(() => url);
+    }
+
+    /** Open the command palette (also Ctrl+K / Cmd+K). */
+    openCommandPalette() {
+        this.commandPalette.open(this._paletteCommands());
+    }
+
+    /** Names of every body (sun, planets, moons, comets) that focus() accepts. */
+    getBodyNames() {
+        return [...this.bodies.keys()];
+    }
+
+    /** Match the renderer and camera to the container size. */
+    resize() {
+        if (this._capturing) return; // captures size the drawing buffer themselves and resize afterwards
+        const width = this.container.clientWidth || 1;
+        const height = this.container.clientHeight || 1;
+        this.camera.aspect = width / height; // update aspect ratio
+        this.camera.updateProjectionMatrix(); // recalc internal projection
+        this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, this.quality.pixelRatio)); // respect the preset's DPR cap
+        this.renderer.setSize(width, height); // resize canvas
+        if (this.postprocessing) {
+            this.postprocessing.setPixelRatio(this.renderer.getPixelRatio());
+            this.postprocessing.setSize(width, height);
+        }
+    }
+
+    /**
+     * Stop rendering and free every geometry, material, texture, DOM node and listener.
+     * The instance cannot be used afterwards.
+     */
+    dispose() {
+        if (!this.renderer) return;
+        this.stop();
+        this._emit('dispose');
+
+        this._resizeObserver.disconnect();
+        this._offJump();
+        window.removeEventListener('keydown', this._onKeyDown);
+        this.container.removeEventListener('pointerenter', this._onPointerEnter);
+        if (activeView === this) activeView = null;
+        this.commandPalette.dispose();
+        this.tourPlayer.dispose();
+        this.tourAuthor.dispose();
+        this.flight.dispose();
+        this.bodyView.dispose();
+        this.measureTool.dispose();
+        this.selection.dispose();
+        this.infoPanel.dispose();
+        if (this.loadingScreen) this.loadingScreen.dispose();
+        this.controls.dispose();
+        if (this.pane) this.pane.dispose();
+        if (this._paneElement) this._paneElement.remove();
+
+        // rings own generated profile textures
+        this.created.forEach((obj) => obj.mesh.userData.rings.forEach((ring) => ring.userData.dispose()));
+
+        // labels are troika Text objects with their own dispose()
+        this._removeLabels();
+
+        this.postprocessing.dispose(); // render targets and pass materials
+        this.lensFlare.userData.dispose(); // flare textures and sprite materials
+
+        // every geometry and material in the scene graph (camera-attached dust included)
+        const materials = new Set();
+        this.scene.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) [].concat(obj.material).forEach((m) => materials.add(m));
+        });
+        materials.forEach((m) => m.dispose());
+        this.textures.dispose(); // planet/ring/belt/background textures
+
+        this.renderer.dispose();
+        this.renderer.forceContextLoss(); // give the WebGL context back (browsers cap live contexts)
+        this.renderer.domElement.remove();
+        this.scene.clear();
+
+        this._listeners.clear();
+        this.renderer = null;
+    }
+
+    // ---------------------------------------------------------------------------------------
+    // Construction
+    // ---------------------------------------------------------------------------------------
+
+    /*
+     Scene, background and sun. The star is a high-segment sphere at the origin with the animated
+     surface shader from sun.js (unlit because the sun is a light source itself) and a corona quad
+     as its child, plus a dim ambient light so night sides are not completely black and a very
+     bright point light for sunlight.
+    */
+    _buildScene() {
+        const {system, textures} = this;
+
+        // THREE.js scene graph root
+        this.scene = new THREE.Scene(); // acts as the parent for all objects in the world
+
+        // Load a starfield-style cubemap for the scene background
+        if (system.background && system.background.cubemap) {
+            this.scene.background = textures.loadCube(system.background.cubemap);
+        }
+
+        // Sun (big yellow sphere)
+        const segments = sphereSegments(system.star.radius, this.quality.segmentScale);
+        const sphereGeometry = new THREE.SphereGeometry(1, segments, segments); // unit radius
+        const {material: sunMaterial, corona} = createSun({
+            map: textures.load(system.star.texture, this._fallbackFor(system.star, 'star')),
+            color: system.star.color ?? 0xffffff
+        });
+        const sun = new THREE.Mesh(sphereGeometry, sunMaterial); // mesh = geometry + material
+        sun.add(corona); // in star radii; selection only hits the sphere itself
+        sun.scale.setScalar(system.star.radius); // scale up to represent the star
+        sun.name = system.star.name;
+        sun.userData.kind = 'star'; // used by selection/info panel
+        sun.userData.body = system.star;
+        this.scene.add(sun); // add to scene so it renders
+        this.sun = sun;
+        this.corona = corona;
+
+        // Subtle ambient and strong point light (sunlight) at the origin; colors/intensities from the star definition
+        const starLight = system.star.light || {};
+        const starAmbient = system.star.ambient || {};
+        this.ambientLight = new THREE.AmbientLight(starAmbient.color ?? 0xffffff, starAmbient.intensity ?? 0.1); // low-intensity fill
+        this.scene.add(this.ambientLight);
+        this.pointLight = new THREE.PointLight(starLight.color ?? 0xffffff, starLight.intensity ?? 6000); // bright point light at (0,0,0)
+        this.scene.add(this.pointLight); // acts like the sun
+
+    }
+
+    /**
+     * Build the surface material for a planet, moon or comet from its definition. Physically-based
+     * MeshStandardMaterial reacts to the ambient + point light; optional `material` settings
+     * tweak roughness/metalness/color. A body with a `fallback` block but no texture (most dwarf
+     * planets) gets its procedural surface right away.
+     * @param {{texture?:string, fallback?:object, material?:object}} body
+     * @param {'planet'|'moon'|'comet'} kind - Picks the procedural fallback surface when the texture is missing.
+     * @returns {THREE.MeshStandardMaterial}
+     */
+    _makeBodyMaterial(body, kind) {
+        const fallback = this._fallbackFor(body, kind);
+        const material = new THREE.MeshStandardMaterial({
+            map: !body.texture && body.fallback ? this.textures.generate(fallback) : this.textures.load(body.texture, fallback),
+            ...(body.material || {})
+        });
+        // receive eclipse shadows; ringed planets also receive their ring's shadow
+        this.eclipses.patch(material, {ring: kind === 'planet' && body.rings.length > 0});
+        return material;
+    }
+
+    /**
+     * Layered surface (surfaceModels.js) for bodies whose definition has a `surface` block, e.g.
+     * Earth's day/night, clouds and oceans; null for everyone else. Its material and layers get
+     * the eclipse patch like any other body material.
+     * @param {object} body - Planet definition.
+     * @returns {ReturnType<typeof createSurfaceModel>}
+     */
+    _makeSurfaceModel(body) {
+        const model = createSurfaceModel(body, {
+            textures: this.textures,
+            fallbackFor: (b, kind) => this._fallbackFor(b, kind),
+            segments: sphereSegments(body.radius, this.quality.segmentScale)
+        });
+        if (!model) return null;
+        this.eclipses.patch(model.material, {ring: body.rings.length > 0});
+        model.layers.forEach((layer) => layer.material && this.eclipses.patch(layer.material));
+        return model;
+    }
+
+    /**
+     * Procedural surface for a body whose texture is missing: the definition's `fallback`, else
+     * banded gas for the star and large planets, rocky ground for everything else.
+     * @param {{name:string, radius:number, fallback?:object, material?:object, color?:string|number}} body
+     * @param {'star'|'planet'|'moon'|'comet'} kind
+     * @returns {{type:'rocky'|'gas', color:string|number, seed:string}}
+     */
+    _fallbackFor(body, kind) {
+        const fallback = body.fallback || {};
+        const gas = kind === 'star' || (kind === 'planet' && body.radius >= 1.5);
+        return {
+            type: fallback.type ?? (gas ? 'gas' : 'rocky'),
+            color: fallback.color ?? body.material?.color ?? body.color ?? (kind === 'star' ? 0xffb347 : 0x9a948c),
+            seed: body.name
+        };
+    }
+
+    /*
+     Planets, moons, orbit lines, labels, belts and rings. We instantiate each planet using
+     buildPlanetWithTilt(), attach the orbitGroup to the scene, and keep references for
+     animation. Moons go into the planet's moon group (under its tilt group).
+    */
+    _buildBodies() {
+        const {system, scene, textures} = this;
+
+        // Moon material (shared by moons without their own texture)
+        const moonMaterial = new THREE.MeshStandardMaterial({
+            map: textures.load(system.defaults.moonTexture, {type: 'rocky', color: 0x9a948c, seed: 'moon'})
+        });
+        this.eclipses.patch(moonMaterial);
+
+        this.created = []; // store for animation & interaction
+        this.planetMeshes = []; // flat list to reference specific planet meshes by index/name
+
+        system.planets.forEach((def) => {
+            const surfaceModel = this._makeSurfaceModel(def);
+            const p = {...def, material: surfaceModel ? surfaceModel.material : this._makeBodyMaterial(def, 'planet'), surfaceModel};
+            const built = buildPlanetWithTilt(p, this.quality); // { orbitGroup, tiltGroup, mesh, moonGroup }
+            scene.add(built.orbitGroup); // top-level heliocentric parent (the planet moves inside it)
+
+            // scattering shell for bodies with an `atmosphere` block
+            if (p.atmosphere) {
+                const atmosphere = createAtmosphere(p.atmosphere, {
+                    segments: sphereSegments(p.radius, this.quality.segmentScale),
+                    name: `${p.name}-atmosphere`
+                });
+                atmosphere.visible = !!this.params.atmospheres;
+                built.mesh.add(atmosphere);
+                built.mesh.userData.atmosphere = atmosphere;
+            }
+
+            // attach moons to the planet's moon group (so they orbit in the tilted equatorial plane)
+            const moons = p.moons.map((m) => {
+                const material = m.texture || m.material ? this._makeBodyMaterial(m, 'moon') : moonMaterial;
+                const data = {...m}; // own copy: scale modes rewrite radius/distance
+                const mesh = buildMoon(data, p, material, this.quality);
+                built.moonGroup.add(mesh);
+                return {data, mesh};
+            });
+
+            // render layers: the planet with its surface layers and atmosphere, then each moon
+            setLayer(built.mesh, p.dwarf ? LAYERS.dwarfPlanets : LAYERS.planets);
+            moons.forEach((moon) => setLayer(moon.mesh, LAYERS.moons));
+
+            this.created.push({data: p, orbit: built.orbitGroup, tilt: built.tiltGroup, mesh: built.mesh, moonGroup: built.moonGroup, moons, surfaceModel});
+            this.planetMeshes.push(built.mesh); // preserve direct access to the final planet mesh
+        });
+        scene.userData.createdPlanets = this.created;
+
+        // Comets live in the world frame: nucleus, coma and tails on the comets layer (comets.js)
+        this.comets = system.comets.map((def) => {
+            const data = {...def}; // own copy: scale modes rewrite radius/distance
+            const comet = createComet(data, {material: this._makeBodyMaterial(def, 'comet'), segments: moonSegments(this.quality.segmentScale)});
+            [comet.nucleus, comet.coma, ...comet.tails].forEach((obj) => {
+                obj.layers.set(LAYERS.comets);
+                scene.add(obj);
+            });
+            return comet;
+        });
+
+        // name -> mesh lookup for every body (sun, planets, moons, comets); used by selection and camera focus
+        this.bodies = new Map([[this.sun.name, this.sun]]);
+        this.created.forEach((obj) => {
+            this.bodies.set(obj.mesh.name, obj.mesh);
+            obj.moons.forEach((moon) => this.bodies.set(moon.mesh.name, moon.mesh));
+        });
+        this.comets.forEach((comet) => this.bodies.set(comet.nucleus.name, comet.nucleus));
+
+        // Spheres that can eclipse something (planets and moons), and planets whose ring shadows them
+        this._occluders = [...this.bodies.values()].filter((mesh) => mesh !== this.sun && mesh.userData.kind !== 'comet');
+        this._ringReceivers = this.created.filter((obj) => obj.data.rings.length).map((obj) => obj.mesh.material);
+
+        // Orbit lines: planets on their orbit group (heliocentric frame), moons in the parent's moon
+        // group (parent radii, equatorial plane unless their elements are ecliptic); all on the
+        // orbits layer, listed for UI toggling. _updateBodies() turns the precessing/ecliptic ones.
+        const addOrbitLine = (data, parent) => {
+            const orbit = createOrbitLine(data);
+            orbit.userData.baseDistance = data.distance; // scale modes stretch the line from here
+            orbit.layers.set(LAYERS.orbits);
+            parent.add(orbit);
+            return orbit;
+        };
+        scene.userData.orbits = [];
+        this.created.forEach((obj) => {
+            obj.orbitLine = addOrbitLine(obj.data, obj.orbit);
+            scene.userData.orbits.push(obj.orbitLine);
+            obj.moons.forEach((moon) => {
+                moon.orbitLine = addOrbitLine(moon.data, obj.moonGroup);
+                scene.userData.orbits.push(moon.orbitLine);
+            });
+        });
+        this.comets.forEach((comet) => {
+            comet.setRadial(this._scaleLayout.radial); // sampled in AU, mapped like the comet itself
+            comet.orbitLine.layers.set(LAYERS.orbits);
+            scene.add(comet.orbitLine);
+            scene.userData.orbits.push(comet.orbitLine);
+        });
+
+        this._buildTrails();
+
+        // Build labels now that bodies exist (troika text doesn't need font loading)
+        this._addLabels();
+
+        this._buildBelts();
+        this._buildRings();
+    }
+
+    /*
+     Time-lapse trails (trails.js), one per planet and moon, in the world frame. They sample the
+     Kepler orbits directly: a planet's position is its orbit at the sample time; a moon's is its
+     parent's plus its own orbit scaled to parent radii and turned by the parent's (constant) tilt,
+     unless its elements are already in the ecliptic frame.
+     A comet's follows its radially mapped orbit (comets.js).
+     Toggles come from each body's `trail.enabled` (planets default on, moons and comets off).
+    */
+    _buildTrails() {
+        const {params, scene} = this;
+        this.trails = new Map(); // body name -> trail
+        const add = (data, enabledByDefault, positionAt) => {
+            const trail = createTrail({name: data.name, color: data.trail?.color ?? data.fallback?.color ?? 0xffffff, positionAt});
+            trail.line.visible = false; // the frame loop shows enabled trails
+            scene.add(trail.line);
+            this.trails.set(data.name, trail);
+            params.trailBodies[data.name] ??= data.trail?.enabled ?? enabledByDefault;
+        };
+        params.trailBodies = {...params.trailBodies}; // per-instance copy of the toggles
+
+        this.created.forEach((obj) => {
+            const planetAt = (jd, target) => orbitalPosition(obj.data.elements, jd, obj.data.distance, target);
+            add(obj.data, true, planetAt);
+            obj.moons.forEach((moon) => add(moon.data, false, (jd, target) => {
+                orbitalPosition(moon.data.elements, jd, moon.data.distance, target).multiplyScalar(obj.data.radius); // moon group: parent radii
+                if (moon.data.elements.frame !== 'ecliptic') target.applyQuaternion(obj.tilt.quaternion);
+                return target.add(planetAt(jd, _trailParent));
+            }));
+        });
+        this.comets.forEach((comet) => add(comet.data, false, (jd, target) => cometPosition(comet.data.elements, jd, this._scaleLayout.radial, target)));
+    }
+
+    // Instanced asteroid belt per `belts` entry (main belt between Mars and Jupiter and the Kuiper
+    // belt by default) and Trojan swarms per planet `trojans` block. Asteroid counts follow the
+    // quality preset; calling it again replaces the belts and swarms.
+    _buildBelts() {
+        const {system, scene, textures} = this;
+        [...(scene.userData.asteroidBelts || []), ...(scene.userData.trojans || [])].forEach((rocks) => {
+            scene.remove(rocks);
+            rocks.geometry.dispose();
+            rocks.material.dispose();
+            rocks.dispose(); // instance buffers
+        });
+        const count = (n) => Math.max(1, Math.round(n * this.quality.asteroidScale));
+        const rockMap = (def, name) => textures.load(def.texture, {type: 'rocky', color: def.color ?? 0x8b7d6b, seed: name});
+
+        scene.userData.asteroidBelts = system.belts.map((beltData, i) => {
+            const {innerRadius, outerRadius, innerAU, outerAU} = this._scaleLayout.belts[i]; // radii in the current scale mode
+
+            // Kirkwood gaps: a p:q resonance sits at a = a_planet * (q / p)^(2/3) (Kepler's third law)
+            const {gaps} = beltData;
+            const planet = gaps && system.planets.find((p) => p.name === gaps.planet);
+            const resonances = planet ? gaps.resonances.map((ratio) => {
+                const [p, q] = ratio.split(':').map(Number);
+                return {a: planet.elements.a * (q / p) ** (2 / 3), width: gaps.width ?? 0.03};
+            }) : [];
+
+            const belt = createAsteroidBelt(scene, {
+                ...beltData,
+                innerRadius,
+                outerRadius,
+                innerAU,
+                outerAU,
+                radial: this._scaleLayout.radial,
+                gaps: resonances,
+                count: count(beltData.count ?? 2000),
+                map: rockMap(beltData, beltData.name)
+            });
+            belt.name = beltData.name || 'Asteroid Belt';
+            belt.userData.builtRadius = (innerRadius + outerRadius) / 2; // scale transitions stretch from here
+            belt.layers.set(LAYERS.belts);
+            return belt;
+        });
+
+        // Trojan swarms at the L4/L5 points of the planets that define them (Jupiter by default)
+        scene.userData.trojans = this.created.filter((obj) => obj.data.trojans).map((obj) => {
+            const {trojans} = obj.data;
+            const swarms = createTrojanSwarms(scene, obj.data, {
+                ...trojans,
+                count: count(trojans.count ?? 600),
+                map: rockMap(trojans, `${obj.data.name}-trojans`)
+            });
+            swarms.name = `${obj.data.name} Trojans`;
+            swarms.userData.planet = obj.data;
+            swarms.userData.builtRadius = obj.data.distance;
+            swarms.layers.set(LAYERS.belts);
+            return swarms;
+        });
+        this._updateBeltOrbits(this.simClock.jd);
+    }
+
+    // Belt and Trojan rocks follow the simulation date on the GPU
+    _updateBeltOrbits(jd) {
+        const {asteroidBelts, trojans} = this.scene.userData;
+        [...asteroidBelts, ...trojans].forEach((rocks) => updateBeltOrbits(rocks, jd));
+    }
+
+    // Rings on the planets that define them (Saturn, Uranus, Neptune by default); kept for animation.
+    // The particle layer's rock count follows the quality preset; calling it again replaces the rings.
+    _buildRings() {
+        const {system, textures} = this;
+        this.created.forEach((obj) => {
+            (obj.mesh.userData.rings || []).forEach((ring) => ring.userData.dispose());
+            obj.mesh.userData.rings = obj.data.rings.map((ringData) => {
+                const particles = ringData.particles && {
+                    ...ringData.particles,
+                    count: Math.round((ringData.particles.count ?? 0) * this.quality.ringScale),
+                    map: textures.load(ringData.particles.texture ?? system.defaults.dustTexture, {type: 'rocky', color: ringData.color ?? 0xb8a98f, seed: `${obj.data.name}-ring`})
+                };
+                const ring = createPlanetRing(obj.tilt, obj.data.radius, {
+                    ...ringData,
+                    name: ringData.name ?? `${obj.data.name}-ring`,
+                    map: textures.load(ringData.texture), // optional radial strip image; generated profile otherwise
+                    segments: Math.max(64, Math.round(256 * this.quality.segmentScale)),
+                    particles
+                });
+                setLayer(ring, LAYERS.rings);
+                // the planet shadows the ring; the ring's particles too
+                this.eclipses.patch(ring.userData.annulus.material);
+                if (ring.userData.particles) this.eclipses.patch(ring.userData.particles.material);
+                return ring;
+            });
+
+            // the (first) ring shadows the planet
+            const [ring] = obj.mesh.userData.rings;
+            if (ring) this.eclipses.setRing(obj.mesh.material, ring, ring.userData.innerRadius, ring.userData.outerRadius, ring.userData.map);
+        });
+    }
+
+    /*
+     Apply a quality preset to the built scene: texture tier (reloaded in place by the cache),
+     sphere geometry for the sun/planets/moons, belts and rings rebuilt with scaled counts, and
+     the renderer's pixel ratio.
+    */
+    _applyQuality(level) {
+        if (level === this.qualityLevel) return;
+        this.qualityLevel = level;
+        this.quality = QUALITY_PRESETS[level];
+        const {segmentScale} = this.quality;
+
+        this.textures.setTier(this.quality.textureTier);
+
+        const reshape = (mesh, segments) => {
+            mesh.geometry.dispose();
+            mesh.geometry = new THREE.SphereGeometry(1, segments, segments);
+        };
+        reshape(this.sun, sphereSegments(this.system.star.radius, segmentScale));
+        this.created.forEach((obj) => {
+            reshape(obj.mesh, sphereSegments(obj.data.radius, segmentScale));
+            obj.mesh.traverse((child) => {
+                if (child.userData.surfaceLayer) reshape(child, sphereSegments(obj.data.radius, segmentScale));
+            });
+            obj.moons.forEach((moon) => reshape(moon.mesh, moonSegments(segmentScale)));
+        });
+
+        this._buildBelts();
+        this._buildRings();
+        this.resize(); // pixel ratio
+        this.params.qualityLevel = level;
+        this._emit('quality', {level, auto: this._qualityMode === 'auto'});
+    }
+
+    // Advance an animated scale mode switch; the last step rebuilds what cannot just be stretched
+    _stepScaleTransition(dt) {
+        const transition = this._scaleTransition;
+        transition.elapsed += dt;
+        const k = Math.min(transition.elapsed / SCALE_TRANSITION, 1);
+        this._applyScaleLayout(lerpScaleLayout(transition.from, transition.to, easeInOut(k)));
+        if (k < 1) return;
+
+        this._scaleTransition = null;
+        this._buildBelts(); // re-scatter the rocks at the new radii instead of stretching them
+        if (this.cameraFocus.target) this.cameraFocus.focus(this.cameraFocus.target); // zoom limits for the new radius
+        this._emit('scale', {mode: transition.to.mode});
+    }
+
+    /*
+     Resize the built scene to a scale layout (scaleModes.js). Bodies keep their definition copies
+     in sync (radius/distance drive placement, ring particle visibility and the info panel); orbit
+     lines and belts are stretched, labels are counter-scaled to stay readable, and the overview
+     camera framing, its limits and the far plane grow or shrink with the system's extent.
+    */
+    _applyScaleLayout(layout) {
+        const previous = this._scaleLayout;
+        this._scaleLayout = layout;
+
+        this.sun.scale.setScalar(layout.star);
+        this.eclipses.setSunRadius(layout.star * this.params.shadowSoftness);
+
+        this.created.forEach((obj) => {
+            Object.assign(obj.data, layout.bodies.get(obj.data.name));
+            const {radius, distance} = obj.data;
+            obj.mesh.scale.setScalar(radius);
+            obj.moonGroup.scale.setScalar(radius); // moons are in parent radii
+            obj.mesh.userData.rings.forEach((ring) => ring.scale.setScalar(radius));
+            obj.orbitLine.scale.setScalar(distance / obj.orbitLine.userData.baseDistance);
+            obj.moons.forEach((moon) => {
+                Object.assign(moon.data, layout.bodies.get(moon.data.name));
+                moon.mesh.scale.setScalar(moon.data.radius);
+                moon.orbitLine.scale.setScalar(moon.data.distance / moon.orbitLine.userData.baseDistance);
+            });
+        });
+
+        this.comets.forEach((comet) => {
+            Object.assign(comet.data, layout.bodies.get(comet.data.name));
+            comet.nucleus.scale.setScalar(comet.data.radius);
+            comet.setRadial(layout.radial);
+        });
+
+        this.scene.userData.asteroidBelts.forEach((belt, i) => {
+            const {innerRadius, outerRadius} = layout.belts[i];
+            const stretch = (innerRadius + outerRadius) / 2 / belt.userData.builtRadius;
+            belt.scale.set(stretch, 1, stretch);
+        });
+        this.scene.userData.trojans.forEach((swarms) => {
+            const stretch = swarms.userData.planet.distance / swarms.userData.builtRadius; // planet data is up to date by now
+            swarms.scale.set(stretch, 1, stretch);
+        });
+
+        this.cameraFocus.rescale(layout.extent / previous.extent);
+        this.camera.far = Math.max(500, layout.extent * 5); // the whole system from across it
+        this.camera.updateProjectionMatrix();
+
+        this._updateBodies(this.simClock.jd); // re-place on the resized orbits
+        this.trails.forEach((trail) => trail.reset()); // recorded at the old size
+    }
+
+    /*
+     Labels for every planet, moon and comet. They live in the world frame (not on the spinning bodies)
+     and are placed each frame beside their body, facing the camera (_updateLabels). Moon labels
+     are smaller and only show when the camera is near their parent.
+    */
+    _addLabels() {
+        this._removeLabels();
+
+        const add = (mesh, moonOf = null) => {
+            const label = makeLabelMesh(mesh.name, this.params.labelSize || 0.6);
+            label.layers.set(LAYERS.labels);
+            this.scene.add(label);
+            this.scene.userData._labels.push({label, mesh, moonOf}); // kept for updates/disposal
+        };
+        this.created.forEach((obj) => {
+            add(obj.mesh);
+            obj.moons.forEach((moon) => add(moon.mesh, obj));
+        });
+        this.comets.forEach((comet) => add(comet.nucleus));
+    }
+
+    // Remove all labels (e.g., before rebuild)
+    _removeLabels() {
+        const rec = this.scene.userData._labels;
+        if (rec) {
+            rec.forEach(({label}) => {
+                label.dispose(); // troika frees its geometry
+                label.removeFromParent();
+            });
+        }
+        this.scene.userData._labels = [];
+    }
+
+    // Billboard every label next to its body; hide labels of hidden bodies and far-away moons
+    _updateLabels() {
+        const {camera, params} = this;
+        const wantSize = params.labelSize || 0.6;
+        this.scene.userData._labels.forEach(({label, mesh, moonOf}) => {
+            let visible = mesh.layers.test(camera.layers);
+            if (visible && moonOf) {
+                // level of detail: within a few moon-system radii of the parent planet
+                const reach = Math.max(...moonOf.moons.map((moon) => moon.data.distance)) * moonOf.mesh.getWorldScale(_labelScale).x;
+                visible = camera.position.distanceTo(moonOf.mesh.getWorldPosition(_labelPos)) < reach * MOON_LABEL_RANGE;
+            }
+            label.visible = visible;
+            if (!visible) return;
+
+            // above and to the right of the body as seen from the camera
+            const radius = mesh.getWorldScale(_labelScale).x;
+            mesh.getWorldPosition(label.position);
+            label.position.add(_labelOffset.set(radius * 1.2, radius * 0.9, 0).applyQuaternion(camera.quaternion));
+            label.quaternion.copy(camera.quaternion);
+            label.scale.setScalar(this._scaleLayout.labelScale * (moonOf ? MOON_LABEL_SCALE : 1));
+
+            // update size smoothly if changed
+            if (label.fontSize && Math.abs(label.fontSize - wantSize) > 0.001) {
+                label.fontSize = wantSize;
+                if (label.sync) label.sync();
+            }
+        });
+    }
+
+    /*
+     Camera: perspective with a comfortable FOV and a far plane large enough for the outermost
+     orbits (dwarf planets, comet aphelia, belts; kept in step by the scale modes), pulled back and slightly above the ecliptic, looking at the sun.
+    */
+    _buildCamera() {
+        const aspect = (this.container.clientWidth || 1) / (this.container.clientHeight || 1);
+        this.camera = new THREE.PerspectiveCamera(75, aspect, 0.1, Math.max(500, this._scaleLayout.extent * 5)); // out to the Kuiper belt and Eris
+        this.camera.position.set(0, 20, 100); // pull back and slightly above the ecliptic
+        this.camera.lookAt(0, 0, 0); // focus the sun
+        this.scene.add(this.camera);
+
+        // lens flare sprites ride on the camera (postprocessing.js)
+        this.lensFlare = createLensFlare({color: (this.system.star.light || {}).color ?? 0xffe2b0});
+        this.camera.add(this.lensFlare);
+
+        this._applyLayers();
+    }
+
+    // Enable the camera layers the params ask for; orbit lines follow their body's category
+    _applyLayers() {
+        const {camera, params} = this;
+        const toggle = (layer, on) => (on ? camera.layers.enable(layer) : camera.layers.disable(layer));
+        toggle(LAYERS.planets, params.showPlanets);
+        toggle(LAYERS.moons, params.showMoons);
+        toggle(LAYERS.dwarfPlanets, params.showDwarfPlanets);
+        toggle(LAYERS.comets, params.showComets);
+        toggle(LAYERS.belts, params.showBelts);
+        toggle(LAYERS.rings, params.showRings);
+        toggle(LAYERS.orbits, params.showOrbits);
+        toggle(LAYERS.labels, params.labelsEnabled);
+        this.created.forEach((obj) => {
+            obj.orbitLine.visible = !!(obj.data.dwarf ? params.showDwarfPlanets : params.showPlanets);
+            obj.moons.forEach((moon) => (moon.orbitLine.visible = !!params.showMoons));
+        });
+        this.comets.forEach((comet) => (comet.orbitLine.visible = !!params.showComets));
+    }
+
+    /*
+     Renderer: creates its own canvas inside the container. Antialiasing smooths edges, the pixel
+     ratio is capped for performance, and ACES tone mapping provides a nice HDR response for the
+     over-bright sun. Frames go through the bloom composer (postprocessing.js) unless bloom is off.
+     A ResizeObserver keeps both matched to the container.
+    */
+    _buildRenderer() {
+        const canvas = document.createElement('canvas');
+        canvas.className = 'solar-system__canvas';
+        this.container.appendChild(canvas);
+
+        this.renderer = new THREE.WebGLRenderer({canvas, antialias: true}); // create renderer
+        this.renderer.toneMapping = THREE.ACESFilmicToneMapping; // filmic tonemapper
+        this.renderer.toneMappingExposure = 1.0; // neutral exposure
+        this.postprocessing = createPostProcessing(this.renderer, this.scene, this.camera, {strength: this.params.bloomStrength});
+        this.resize(); // initial size
+
+        this._resizeObserver = new ResizeObserver(() => this.resize());
+        this._resizeObserver.observe(this.container);
+    }
+
+    /*
+     Orbit controls, click selection with the info panel, and camera focus/follow.
+     OrbitControls orbits around the target (origin) with damping; zoom stays disabled for the
+     overview framing and is enabled with per-body limits while focused (cameraFocus.js).
+     Free flight (freeFlight.js) and the body views (bodyView.js) take the camera over from both
+     while they are on.
+    */
+    _buildInteraction() {
+        const {camera, renderer} = this;
+
+        this.controls = new OrbitControls(camera, renderer.domElement); // bind to renderer DOM
+        this.controls.enableDamping = true; // inertia-like smoothing
+        this.controls.dampingFactor = 0.08; // damping strength
+        this.controls.enableZoom = false; // disable wheel zoom (use distance bounds if enabled)
+        this.controls.minDistance = 10; // closest distance if zoom enabled
+        this.controls.maxDistance = 100; // farthest distance if zoom enabled
+        this.controls.update(); // apply initial damping state
+
+        this.cameraFocus = createCameraFocus({camera, controls: this.controls});
+
+        // Free flight avoids the star, planets, dwarf planets and moons (comet nuclei are too small to matter)
+        this.flight = createFreeFlight({camera, domElement: renderer.domElement, container: this.container});
+        this._flightObstacles = [this.sun, ...this._occluders].map((mesh) => ({mesh, center: new THREE.Vector3(), radius: 0}));
+
+        // Surface observer and ride-along cameras (viewFrom)
+        this.bodyView = createBodyView({camera, domElement: renderer.domElement, container: this.container});
+
+        // Distance / light time / angular separation tool (measure); endpoints are resolved every frame
+        this.measureTool = createMeasureTool({scene: this.scene, container: this.container});
+        this._measurePoints = ['from', 'to', 'observer'].map(() => ({name: '', scene: new THREE.Vector3(), au: null, auVector: new THREE.Vector3()}));
+
+        // Clicking a body highlights it and opens the info panel; empty space closes it
+        this.infoPanel = createInfoPanel({container: this.container, onClose: () => this.selection.select(null)});
+
+        // Guided tours: caption bar with transport controls, and the keyframe authoring panel
+        this.tourPlayer = createTourPlayer({view: this, container: this.container, onChange: (state) => this._emit('tour', state)});
+        this.tourAuthor = createTourAuthor({
+            container: this.container,
+            capture: () => this.captureTourStep(),
+            onPreview: (tour) => this.playTour(tour)
+        });
+        this.selection = createSelection({
+            camera,
+            domElement: renderer.domElement,
+            getTargets: () => [...this.bodies.values()], // sun, planets and every moon mesh
+            onChange: (mesh) => {
+                if (!mesh) {
+                    this.infoPanel.hide();
+                    this._emit('select', null);
+                    return;
+                }
+                this.infoPanel.show(mesh.name, mesh.userData.kind, this._describeBody(mesh));
+                this.infoPanel.setLive(this._liveBodyRows(mesh));
+                this._emit('select', {name: mesh.name, kind: mesh.userData.kind});
+            }
+        });
+    }
+
+    /*
+     Keyboard: Ctrl+K / Cmd+K opens the command palette; single keys toggle params (PARAM_SHORTCUTS),
+     Space plays/pauses, H resets the camera and, during a tour, ←/→ (or PageUp/PageDown)
+     step through it. Keys typed into text fields are left alone, and so are the flight keys
+     while flying (freeFlight.js consumes them first).
+     The listener is on window, so only the active instance (pointer last entered it, else the
+     first one created) responds.
+    */
+    _buildKeyboard() {
+        this.commandPalette = createCommandPalette({container: this.container});
+        if (!activeView) activeView = this;
+        this._onPointerEnter = () => (activeView = this);
+        this.container.addEventListener('pointerenter', this._onPointerEnter);
+        window.addEventListener('keydown', this._onKeyDown);
+    }
+
+    _onKeyDown = (ev) => {
+        if (activeView !== this || ev.defaultPrevented) return;
+        if ((ev.ctrlKey || ev.metaKey) && !ev.altKey && ev.key.toLowerCase() === 'k') {
+            ev.preventDefault(); // instead of the browser's search shortcut
+            if (this.commandPalette.isOpen()) this.commandPalette.close();
+            else this.openCommandPalette();
+            return;
+        }
+        const el = ev.target;
+        if (ev.ctrlKey || ev.metaKey || ev.altKey || el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName)) return;
+        const key = ev.key.toLowerCase();
+        if (key === ' ') {
+            ev.preventDefault(); // no page scroll or button click
+            this.setPaused(!this.simClock.paused);
+        } else if (key === 'h') {
+            this.focus(null);
+        } else if (this.tourPlayer.tour && (key === 'arrowright' || key === 'pagedown')) {
+            ev.preventDefault(); // presentation clickers send these
+            this.tourPlayer.next();
+        } else if (this.tourPlayer.tour && (key === 'arrowleft' || key === 'pageup')) {
+            ev.preventDefault();
+            this.tourPlayer.previous();
+        } else {
+            const shortcut = PARAM_SHORTCUTS.find(([k]) => k === key);
+            if (shortcut) this._toggleParam(shortcut[1]);
+        }
+    };
+
+    // Apply the side effects of a param that is not simply read every frame
+    _applyParam(key) {
+        const {params, simClock} = this;
+        if (LAYER_PARAMS.includes(key)) this._applyLayers();
+        else if (key === 'timeScale') simClock.scale = params.timeScale;
+        else if (key === 'timeRate') simClock.rate = TIME_RATES[params.timeRate] ?? TIME_RATES.hour;
+        else if (key === 'timeReverse') simClock.reversed = params.timeReverse;
+        else if (key === 'bloomStrength') this.postprocessing.bloom.strength = params.bloomStrength;
+        else if (key === 'shadowSoftness') this.eclipses.setSunRadius(this.sun.scale.x * params.shadowSoftness);
+        else if (key === 'shadows') this.eclipses.setEnabled(params.shadows);
+        else if (key === 'freeFlight') this.setFreeFlight(params.freeFlight);
+        else if (VIEW_PARAMS.includes(key)) this.viewFrom(params.viewBody);
+        else if (MEASURE_PARAMS.includes(key)) {
+            // nothing to draw while an endpoint is still empty, or for the same body twice
+            const {measureFrom: from, measureTo: to, measureObserver: observer} = params;
+            if (!from || !to || !this.measure(from, to, {observer})) this.measureTool.hide();
+        }
+        else if (key === 'atmospheres') {
+            this.created.forEach((obj) => {
+                if (obj.mesh.userData.atmosphere) obj.mesh.userData.atmosphere.visible = params.atmospheres;
+            });
+        }
+    }
+
+    // Hand the camera back to OrbitControls; the caller decides where it goes next
+    _leaveFlight() {
+        if (!this.flight.enabled) return;
+        this.flight.disable();
+        this.params.freeFlight = false;
+        this.controls.enabled = true;
+    }
+
+    // Body name as typed, matched case-insensitively ('' when there is none)
+    _bodyName(text) {
+        const wanted = text.toLowerCase();
+        return this.getBodyNames().find((name) => name.toLowerCase() === wanted) ?? '';
+    }
+
+    // Detach the camera from a body view; the caller decides where it goes next
+    _leaveBodyView() {
+        if (!this.bodyView.mode) return;
+        this.bodyView.disable();
+        this.params.viewBody = '';
+        this.controls.enabled = true;
+    }
+
+    _toggleParam(key) {
+        this.params[key] = !this.params[key];
+        this._applyParam(key);
+        if (this.pane) this.pane.refresh();
+    }
+
+    // Everything the command palette offers, built fresh on every open so titles show the current state
+    _paletteCommands() {
+        const {params} = this;
+        const flyTo = (name) => () => {
+            this.focus(name);
+            this.selection.select(this.bodies.get(name));
+        };
+        const commands = [{title: this.sun.name, detail: 'Star', run: flyTo(this.sun.name)}];
+        this.created.forEach((obj) => {
+            commands.push({title: obj.data.name, detail: obj.data.dwarf ? 'Dwarf planet' : 'Planet', run: flyTo(obj.data.name)});
+            obj.moons.forEach((moon) => commands.push({title: moon.data.name, detail: `Moon of ${obj.data.name}`, run: flyTo(moon.data.name)}));
+        });
+        this.comets.forEach((comet) => commands.push({title: comet.data.name, detail: 'Comet', run: flyTo(comet.data.name)}));
+
+        commands.push(
+            {title: this.simClock.paused ? 'Play' : 'Pause', shortcut: 'Space', keywords: 'time clock', run: () => this.setPaused(!this.simClock.paused)},
+            {
+                title: 'Set time scale…',
+                detail: `now ${params.timeScale}`,
+                keywords: 'speed',
+                prompt: {placeholder: 'Time scale (0–100)', value: String(params.timeScale)},
+                run: (value) => (this.setTimeScale(value) ? undefined : `"${value}" is not a time scale: enter a number from 0 to 100`)
+            },
+            {title: 'Jump to now', keywords: 'time date today', run: () => this.setTime(new Date())},
+            {title: 'Reset camera', shortcut: 'H', keywords: 'overview home', run: () => this.focus(null)},
+            {
+                title: 'Stand on a surface…',
+                detail: 'body, latitude, longitude',
+                keywords: 'observer ground horizon sky view from',
+                prompt: {placeholder: 'Earth, 51.5, -0.1', value: `${params.viewBody || 'Earth'}, ${params.viewLat}, ${params.viewLon}`},
+                run: (value) => {
+                    const [text, lat = '0', lon = '0'] = value.split(',').map((part) => part.trim());
+                    const name = this._bodyName(text);
+                    if (!name) return `No body named "${text}"`;
+                    if (!Number.isFinite(Number(lat)) || !Number.isFinite(Number(lon))) return `"${lat}, ${lon}" is not a latitude and longitude in degrees`;
+                    if (!this.viewFrom(name, {mode: 'surface', lat: Number(lat), lon: Number(lon)})) return `Cannot stand on ${name}`;
+                }
+            },
+            {
+                title: 'Ride along with…',
+                keywords: 'orbit companion follow view from',
+                prompt: {placeholder: 'Body name', value: params.viewBody || 'Earth'},
+                run: (value) => {
+                    const name = this._bodyName(value.trim());
+                    if (!name) return `No body named "${value.trim()}"`;
+                    if (!this.viewFrom(name, {mode: 'ride'})) return `Cannot ride along with ${name}`;
+                }
+            },
+            {title: 'Screenshot', keywords: 'save png image capture', run: () => this.screenshot()},
+            {
+                title: 'Save high-resolution PNG',
+                detail: `${params.captureWidth} × ${params.captureHeight}`,
+                keywords: 'screenshot image capture export',
+                run: () => this.captureImage().catch((err) => console.warn(err.message))
+            },
+            {
+                title: 'Record video',
+                detail: `${params.recordSeconds} s at ${params.recordFps} fps`,
+                keywords: 'webm capture export movie',
+                run: () => this.recordVideo().catch((err) => console.warn(err.message))
+            },
+            {title: 'Copy link', keywords: 'share url deep link', run: () => this.copyLink().catch((err) => console.warn(err.message))},
+            {title: 'Play guided tour', detail: grandTour.title, keywords: 'presentation class', run: () => this.playTour(grandTour)},
+            {title: 'Author tour', keywords: 'keyframe record presentation', run: () => this.openTourAuthor()}
+        );
+        commands.push({
+            title: 'Measure distance…',
+            detail: 'from, to[, seen from]',
+            keywords: 'ruler light time angle separation',
+            prompt: {placeholder: 'Earth, Mars, Sun  (or camera)', value: params.measureFrom ? '' : 'Earth, Mars'},
+            run: (value) => {
+                const [from, to, observer = ''] = value.split(',').map((part) => part.trim());
+                const name = (text = '') => (text.toLowerCase() === 'camera' ? 'camera' : this._bodyName(text));
+                if (!from || !to) return 'Enter two endpoints: from, to[, seen from]';
+                const unknown = [from, to].find((text) => !name(text)) ?? (observer && !this._bodyName(observer) ? observer : null);
+                if (unknown) return `No body named "${unknown}"`;
+                if (!this.measure(name(from), name(to), {observer: observer && this._bodyName(observer)})) return 'The endpoints and the observer must all be different';
+            }
+        });
+        if (params.measureFrom) commands.push({title: 'Clear measurement', keywords: 'ruler distance', run: () => this.measure(null)});
+        if (this.bodyView.mode) commands.push({title: 'Leave body view', detail: params.viewBody, keywords: 'surface ride overview', run: () => this.viewFrom(null)});
+        if (this.tourPlayer.tour) {
+            commands.push(
+                {title: 'Next tour step', shortcut: '→', run: () => this.tourPlayer.next()},
+                {title: 'Previous tour step', shortcut: '←', run: () => this.tourPlayer.previous()}
+            );
+        }
+        PARAM_SHORTCUTS.forEach(([key, param, title]) => commands.push({
+            title: `Toggle ${title.toLowerCase()}`,
+            detail: params[param] ? 'on' : 'off',
+            shortcut: key.toUpperCase(),
+            keywords: params[param] ? 'hide' : 'show',
+            run: () => this._toggleParam(param)
+        }));
+        SCALE_MODES.forEach((mode) => commands.push({
+            title: `Scale: ${SCALE_MODE_TITLES[mode] ?? mode}`,
+            detail: params.scaleMode === mode ? 'current' : '',
+            keywords: 'mode',
+            run: () => this.setScaleMode(mode)
+        }));
+        return commands;
+    }
+
+    // Static facts for a body mesh, taken from the planets config
+    _describeBody(mesh) {
+        const {kind, body, parentBody} = mesh.userData;
+        const rows = [['Radius', `${fmt(body.radius)} units`]];
+        if (kind === 'planet' || kind === 'dwarf planet') {
+            rows.push(['Orbit distance', `${fmt(body.distance)} units (${fmt(body.elements.a, 3)} AU)`]);
+            rows.push(['Eccentricity', fmt(body.elements.e || 0, 4)]);
+            rows.push(['Axial tilt', `${fmt(body.tilt || 0, 1)}°`]);
+            rows.push(['Speed', String(body.speed ?? '—')]);
+            rows.push(['Orbital period', `${fmt(body.elements.period, 1)} days`]);
+            rows.push(['Moons', body.moons.length ? body.moons.map((m) => m.name).join(', ') : 'none']);
+        } else if (kind === 'moon') {
+            rows[0] = ['Radius', `${fmt(body.radius)} × ${parentBody.name}`];
+            rows.push(['Parent', parentBody.name]);
+            rows.push(['Orbit distance', `${fmt(body.distance)} × ${parentBody.name} radius`]);
+            rows.push(['Speed', String(body.speed ?? '—')]);
+            rows.push(['Orbital period', `${fmt(body.elements.period, 2)} days`]);
+        } else if (kind === 'comet') {
+            const {a, e = 0, period} = body.elements;
+            rows.push(['Perihelion', `${fmt(a * (1 - e), 3)} AU`]);
+            rows.push(['Aphelion', `${fmt(a * (1 + e), 2)} AU`]);
+            rows.push(['Eccentricity', fmt(e, 4)]);
+            rows.push(['Orbital period', `${fmt(period / 365.25, 1)} years`]);
+        }
+        return rows;
+    }
+
+    // Values that change as the simulation advances
+    _liveBodyRows(mesh) {
+        const {kind, body} = mesh.userData;
+        if (kind === 'star') return [];
+        const jd = this.simClock.jd;
+        const worldPos = mesh.getWorldPosition(new THREE.Vector3());
+        const rows = [['Orbital angle', `${fmt(THREE.MathUtils.radToDeg(trueAnomalyAt(body.elements, jd)), 1)}°`]];
+        if (kind === 'planet' || kind === 'dwarf planet' || kind === 'comet') {
+            const au = orbitalPosition(body.elements, jd, body.elements.a).length();
+            rows.push([`Distance from ${this.sun.name}`, `${fmt(worldPos.length())} units (${fmt(au, 3)} AU)`]);
+            if (kind === 'comet') rows.push(['Activity', `${fmt(this.comets.find((c) => c.nucleus === mesh).activity * 100, 0)} %`]);
+        } else {
+            const parentPos = mesh.parent.getWorldPosition(new THREE.Vector3());
+            rows.push(['Distance from parent', `${fmt(worldPos.distanceTo(parentPos))} units`]);
+            rows.push([`Distance from ${this.sun.name}`, `${fmt(worldPos.length())} units`]);
+        }
+        return rows;
+    }
+
+    /*
+     Tweakpane panel (one per instance, placed in the container's top-right corner):
+     - Display Controls: scale mode, simulation clock (date readout, play/pause, reverse, rate preset,
+       time scale, "jump to date"), space dust and labels.
+     - Layers: planets, moons, dwarf planets, comets, belts, rings, orbits and labels.
+     - Trails: time-lapse trails on/off, their length and a toggle per planet, moon and comet.
+     - Camera: "Focus" dropdown listing the sun, every planet in `created` with its moons, and the comets,
+       "Copy link" for a URL that restores the view (viewLink.js), free flight with its speed, and
+       the body view (body, surface or ride-along, latitude/longitude).
+     - Measure: the two endpoints and the body the angular separation is seen from (measure.js).
+     - Tour: play the bundled guided tour, load a tour file, open the authoring panel (tours.js).
+     - Capture: high-resolution PNG size and WebM length/frame rate (capture.js).
+    */
+    _buildPane() {
+        const {params, simClock} = this;
+
+        this._paneElement = document.createElement('div');
+        this._paneElement.className = 'solar-system__pane';
+        this.container.appendChild(this._paneElement);
+        const pane = new Pane({container: this._paneElement}); // root UI panel
+        this.pane = pane;
+
+        params.simDate = formatSimDate(simClock.jd); // read-only readout of the current epoch
+        params.jumpDate = formatSimDate(simClock.jd); // text field for "jump to date"
+
+        // Create a folder in Tweakpane to group related controls
+        const folder = pane.addFolder({title: 'Display Controls', expanded: true});
+
+        // Scale mode: artistic layout or real proportions (animated switch)
+        bindControl(folder, params, 'scaleMode', {
+            label: 'Scale',
+            options: Object.fromEntries(SCALE_MODES.map((mode) => [SCALE_MODE_TITLES[mode] ?? mode, mode]))
+        }).on('change', (ev) => this.setScaleMode(ev.value));
+
+        // Current epoch readout (monitor refreshes on its own)
+        bindControl(folder, params, 'simDate', {label: 'Date', readonly: true});
+
+        // Play/pause: the button title shows the action it will perform (kept in sync by setPaused)
+        this._playButton = folder.addButton({title: simClock.paused ? 'Play' : 'Pause'});
+        this._playButton.on('click', () => this.setPaused(!simClock.paused));
+
+        // Reverse playback
+        bindControl(folder, params, 'timeReverse', {label: 'Reverse'}).on('change', () => this._applyParam('timeReverse'));
+
+        // Preset rates
+        bindControl(folder, params, 'timeRate', {
+            label: 'Rate',
+            options: {'1 s = 1 hour': 'hour', '1 s = 1 day': 'day', '1 s = 1 year': 'year'}
+        }).on('change', () => this._applyParam('timeRate'));
+
+        // Time scale slider
+        bindControl(folder, params, 'timeScale', {label: 'Time Scale', min: 0, max: 100, step: 1}).on('change', () => this._applyParam('timeScale'));
+
+        // Jump to date: type "YYYY-MM-DD HH:mm" (UTC) or any Date-parsable string, then press Jump
+        bindControl(folder, params, 'jumpDate', {label: 'Go To'});
+        folder.addButton({title: 'Jump to Date'}).on('click', () => {
+            if (!this.setTime(params.jumpDate)) this.tourPlayer.notice('Invalid date', `"${params.jumpDate}" is not a date: use "YYYY-MM-DD HH:mm" (UTC).`);
+        });
+        folder.addButton({title: 'Now'}).on('click', () => this.setTime(new Date()));
+
+        // --- Space Dust: UI controls ---
+        bindControl(folder, params, 'spaceDustEnabled', {label: 'Space Dust'});
+        bindControl(folder, params, 'spaceDustCount', {label: 'Dust Count', min: 100, max: 2000, step: 50});
+        bindControl(folder, params, 'spaceDustSpeed', {label: 'Dust Speed', min: 0, max: 5, step: 0.01});
+        bindControl(folder, params, 'spaceDustSize', {label: 'Dust Size', min: 0.1, max: 6, step: 0.1});
+        bindControl(folder, params, 'spaceDustSpread', {label: 'Dust Spread', min: 5, max: 120, step: 1});
+
+        // --- Eclipse shadows ---
+        bindControl(folder, params, 'shadows', {label: 'Eclipse Shadows'}).on('change', () => this._applyParam('shadows'));
+        bindControl(folder, params, 'shadowSoftness', {label: 'Shadow Softness', min: 0.005, max: 0.5, step: 0.005}).on('change', () => this._applyParam('shadowSoftness'));
+
+        // --- Atmospheres ---
+        bindControl(folder, params, 'atmospheres', {label: 'Atmospheres'}).on('change', () => this._applyParam('atmospheres'));
+
+        // --- Sun: bloom (off for weak GPUs) and lens flare ---
+        bindControl(folder, params, 'bloom', {label: 'Bloom'});
+        bindControl(folder, params, 'bloomStrength', {label: 'Bloom Strength', min: 0, max: 3, step: 0.05}).on('change', () => this._applyParam('bloomStrength'));
+        bindControl(folder, params, 'lensFlare', {label: 'Lens Flare'});
+
+        // --- Labels ---
+        bindControl(folder, params, 'labelSize', {label: 'Label Size', min: 0.2, max: 3, step: 0.1});
+
+        // --- Quality: preset or auto (active level shown while auto adjusts it) ---
+        params.qualityLevel = this.qualityLevel;
+        const qualityOptions = {Auto: 'auto'};
+        QUALITY_LEVELS.forEach((level) => (qualityOptions[level[0].toUpperCase() + level.slice(1)] = level));
+        bindControl(folder, params, 'quality', {label: 'Quality', options: qualityOptions}).on('change', (ev) => {
+            this.setQuality(ev.value);
+        });
+        bindControl(folder, params, 'qualityLevel', {label: 'Active Quality', readonly: true});
+
+        // --- Layers: each category of object on its own render layer ---
+        const layerFolder = pane.addFolder({title: 'Layers', expanded: false});
+        [
+            ['showPlanets', 'Planets'],
+            ['showMoons', 'Moons'],
+            ['showDwarfPlanets', 'Dwarf Planets'],
+            ['showComets', 'Comets'],
+            ['showBelts', 'Belts'],
+            ['showRings', 'Rings'],
+            ['showOrbits', 'Orbits'],
+            ['labelsEnabled', 'Labels']
+        ].forEach(([key, label]) => bindControl(layerFolder, params, key, {label}).on('change', () => this._applyLayers()));
+
+        // --- Trails: global switch, time window and one toggle per body ---
+        const trailFolder = pane.addFolder({title: 'Trails', expanded: false});
+        bindControl(trailFolder, params, 'trails', {label: 'Show Trails'});
+        bindControl(trailFolder, params, 'trailWindow', {
+            label: 'Trail Length',
+            options: {'1 month': 30, '1 year': 365.25, '12 years': 4383, '100 years': 36525}
+        });
+        this.created.forEach((obj) => {
+            bindControl(trailFolder, params.trailBodies, obj.data.name, {label: obj.data.name});
+            obj.moons.forEach((moon) => bindControl(trailFolder, params.trailBodies, moon.data.name, {label: `  ${moon.data.name}`}));
+        });
+        this.comets.forEach((comet) => bindControl(trailFolder, params.trailBodies, comet.data.name, {label: comet.data.name}));
+
+        // --- Camera focus ---
+        const focusOptions = [{text: 'Overview', value: ''}, {text: this.sun.name, value: this.sun.name}];
+        this.created.forEach((obj) => {
+            focusOptions.push({text: obj.data.name, value: obj.data.name});
+            obj.moons.forEach((moon) => focusOptions.push({text: `  ${moon.data.name} (${obj.data.name})`, value: moon.data.name}));
+        });
+        this.comets.forEach((comet) => focusOptions.push({text: comet.data.name, value: comet.data.name}));
+        const cameraFolder = pane.addFolder({title: 'Camera', expanded: true});
+        bindControl(cameraFolder, params, 'focus', {label: 'Focus', options: focusOptions}).on('change', (ev) => {
+            if (this.cameraFocus.target !== (this.bodies.get(ev.value) || null)) this.focus(ev.value);
+        });
+        bindControl(cameraFolder, params, 'freeFlight', {label: 'Free Flight (V)'}).on('change', (ev) => this.setFreeFlight(ev.value));
+        bindControl(cameraFolder, params, 'flightSpeed', {label: 'Flight Speed', min: 0.005, max: 0.25, step: 0.005});
+
+        // Body views: stand on a surface or ride along; any change re-applies the view
+        const viewOptions = [{text: 'None', value: ''}];
+        this.created.forEach((obj) => {
+            viewOptions.push({text: obj.data.name, value: obj.data.name});
+            obj.moons.forEach((moon) => viewOptions.push({text: `  ${moon.data.name} (${obj.data.name})`, value: moon.data.name}));
+        });
+        const applyView = () => this.viewFrom(params.viewBody);
+        bindControl(cameraFolder, params, 'viewBody', {label: 'View From', options: viewOptions}).on('change', applyView);
+        bindControl(cameraFolder, params, 'viewMode', {label: 'View Mode', options: {'Surface': 'surface', 'Ride-along': 'ride'}}).on('change', applyView);
+        bindControl(cameraFolder, params, 'viewLat', {label: 'Latitude', min: -90, max: 90, step: 0.1}).on('change', applyView);
+        bindControl(cameraFolder, params, 'viewLon', {label: 'Longitude', min: -180, max: 180, step: 0.1}).on('change', applyView);
+
+        // Shareable URL of the current view; shown for manual copying when the clipboard is blocked
+        const linkButton = cameraFolder.addButton({title: 'Copy link'});
+        linkButton.on('click', () => {
+            this.copyLink().then(() => {
+                linkButton.title = 'Link copied';
+                setTimeout(() => (linkButton.title = 'Copy link'), 1500);
+            }, () => window.prompt('Copy this link:', `${window.location.href.split('#')[0]}${this.getLink()}`));
+        });
+
+        // --- Measure: two endpoints (bodies or the camera) and an optional observer for the separation ---
+        const bodyOptions = focusOptions.filter((option) => option.value); // every body, without "Overview"
+        const measureFolder = pane.addFolder({title: 'Measure', expanded: false});
+        bindControl(measureFolder, params, 'measureFrom', {label: 'From', options: [{text: 'None', value: ''}, {text: 'Camera', value: MEASURE_CAMERA}, ...bodyOptions]})
+            .on('change', () => this._applyParam('measureFrom'));
+        bindControl(measureFolder, params, 'measureTo', {label: 'To', options: [{text: 'None', value: ''}, {text: 'Camera', value: MEASURE_CAMERA}, ...bodyOptions]})
+            .on('change', () => this._applyParam('measureTo'));
+        bindControl(measureFolder, params, 'measureObserver', {label: 'Seen From', options: [{text: 'None', value: ''}, ...bodyOptions]})
+            .on('change', () => this._applyParam('measureObserver'));
+        measureFolder.addButton({title: 'Clear'}).on('click', () => this.measure(null));
+
+        // --- Tours: the bundled tour, a tour file from disk, and the authoring panel ---
+        const tourFolder = pane.addFolder({title: 'Tour', expanded: false});
+        tourFolder.addButton({title: 'Play Guided Tour'}).on('click', () => this.playTour(grandTour));
+        tourFolder.addButton({title: 'Load Tour File…'}).on('click', () => {
+            const input = document.createElement('input');
+            input.type = 'file';
+            input.accept = 'application/json,.json';
+            input.addEventListener('change', () => {
+                const [file] = input.files;
+                if (!file) return;
+                file.text()
+                    .then((text) => this.tourPlayer.load(parseTour(JSON.parse(text), file.name)))
+                    .catch((err) => this.tourPlayer.notice('Could not load tour', err.errors ? err.errors.join('\n') : err.message));
+            });
+            input.click();
+        });
+        tourFolder.addButton({title: 'Author Tour'}).on('click', () => this.openTourAuthor());
+
+        // --- Capture: tiled high-resolution PNG and fixed-step WebM recording ---
+        const captureFolder = pane.addFolder({title: 'Capture', expanded: false});
+        bindControl(captureFolder, params, 'captureWidth', {label: 'PNG Width', min: 256, max: MAX_CAPTURE_SIZE, step: 2});
+        bindControl(captureFolder, params, 'captureHeight', {label: 'PNG Height', min: 256, max: MAX_CAPTURE_SIZE, step: 2});
+        captureFolder.addButton({title: 'Save PNG'}).on('click', () => {
+            this.captureImage().catch((err) => console.warn('Capture failed:', err.message));
+        });
+        bindControl(captureFolder, params, 'recordSeconds', {label: 'Video Length (s)', min: 1, max: 120, step: 1});
+        bindControl(captureFolder, params, 'recordFps', {label: 'Video FPS', options: {'24': 24, '30': 30, '60': 60}});
+        const recordButton = captureFolder.addButton({title: 'Record WebM'});
+        recordButton.on('click', () => {
+            if (this._capturing) return;
+            this.recordVideo({onProgress: (k) => (recordButton.title = `Recording… ${Math.round(k * 100)} %`)})
+                .catch((err) => console.warn('Recording failed:', err.message))
+                .finally(() => (recordButton.title = 'Record WebM'));
+        });
+    }
+
+    // Near-camera pebbles for the current space dust params
+    _createSpaceDust() {
+        const {params} = this;
+        return createSpacePebbles(this.camera, {
+            count: params.spaceDustCount,
+            spread: params.spaceDustSpread,
+            near: 2,
+            far: 60,
+            minScale: params.spaceDustMinScale,
+            maxScale: params.spaceDustMaxScale,
+            rotSpeed: params.spaceDustRotSpeed,
+            map: this.textures.load(this.system.defaults.dustTexture, DUST_FALLBACK)
+        });
+    }
+
+    // ---------------------------------------------------------------------------------------
+    // Animation
+    // ---------------------------------------------------------------------------------------
+
+    /**
+     * Place every planet, moon and comet for the given Julian date and set each planet's spin.
+     * @param {number} jd - Simulation Julian date.
+     */
+    _updateBodies(jd) {
+        this.created.forEach((obj) => {
+            placeBody(obj.tilt, obj.data, jd); // revolution (year)
+            if (orbitLineMoves(obj.data.elements)) orientOrbitLine(obj.orbitLine, obj.data, jd);
+            obj.mesh.rotation.y = spinAngleAt(obj.data.rotationPeriod, jd); // self-rotation (day)
+            if (obj.surfaceModel) obj.surfaceModel.update(jd); // e.g. drifting clouds
+            obj.moons.forEach((moon) => {
+                placeBody(moon.mesh, moon.data, jd);
+                if (orbitLineMoves(moon.data.elements)) orientOrbitLine(moon.orbitLine, moon.data, jd); // precessing node, ecliptic frame
+            });
+        });
+        this.comets.forEach((comet) => comet.update(jd, this._scaleLayout.radial)); // tails follow the distance from the sun
+        this._updateBeltOrbits(jd);
+    }
+
+    /**
+     * Main render loop: advances the simulation date, places planets, moons, comets and asteroids on
+     * their Kepler orbits, and rotates the rings.
+     * Uses delta time from THREE.Clock for smooth, frame‑rate independent motion.
+     */
+    _frame = () => this._step(this.clock.getDelta()); // seconds since last frame
+
+    /**
+     * Advance everything by `dt` seconds of real time and render. The render loop feeds it the
+     * measured frame time; video recording feeds it a fixed 1/fps.
+     * @param {number} dt
+     */
+    _step(dt) {
+        const {params, simClock, scene, camera} = this;
+
+        // signed time multiplier for purely visual motion (0 while paused, negative in reverse)
+        const t = simClock.paused ? 0 : (params.timeScale ?? 1.0) * (simClock.reversed ? -1 : 1);
+
+        if (this._scaleTransition) this._stepScaleTransition(dt); // animated scale mode switch
+
+        // Advance the simulation clock and let the Kepler engine place planets, moons and spins
+        this._updateBodies(simClock.tick(dt));
+        params.simDate = formatSimDate(simClock.jd); // picked up by the readonly monitor
+
+        // time-lapse trails record while shown; hidden ones are emptied so they restart cleanly
+        this.trails.forEach((trail, name) => {
+            const on = !!(params.trails && params.trailBodies[name]);
+            if (on) trail.update(simClock.jd, params.trailWindow);
+            else if (trail.line.visible) trail.reset();
+            trail.line.visible = on;
+        });
+
+        // Rotate rings slowly (Saturn's by default); ring particles only show up close
+        this.created.forEach((obj) => {
+            obj.mesh.userData.rings.forEach((ring) => {
+                ring.rotation.y += 0.001 * t; // gentle spin for visual interest
+                const particles = ring.userData.particles;
+                if (particles) {
+                    const near = obj.data.radius * 12; // within a dozen planet radii
+                    particles.visible = camera.position.distanceTo(obj.tilt.getWorldPosition(_ringCenter)) < near;
+                }
+            });
+        });
+
+        // --- info panel live values ---
+        if (this.selection.selected) this.infoPanel.setLive(this._liveBodyRows(this.selection.selected));
+
+
+        // auto quality: step the preset down/up based on the measured frame time (not while recording)
+        if (this._qualityMode === 'auto' && !this._capturing) {
+            const level = this._autoQuality.sample(dt);
+            if (level) this._applyQuality(level);
+        }
+
+        // eclipse shadows follow the bodies' new positions
+        if (params.shadows) {
+            scene.updateMatrixWorld();
+            this.eclipses.update(this._occluders, this._ringReceivers);
+        }
+
+        if (this.flight.enabled) {
+            this._stepFlight(dt);
+        } else if (this.bodyView.mode) {
+            this.bodyView.update();
+            this.controls.target.copy(this.bodyView.lookAt); // for links, keyframes and the flight home
+        } else {
+            this.cameraFocus.update(dt); // fly-to animation / follow the focused body
+            this.controls.update(); // apply damping
+        }
+
+        // --- Space Pebbles update ---
+        const dustObj = scene.userData.spaceDust;
+        if (dustObj) {
+            // toggle visibility
+            const enabled = !!params.spaceDustEnabled && !this.bodyView.mode; // no dust in the sky seen from a body
+            dustObj.inst.visible = enabled;
+
+            if (enabled) {
+                if (this.flight.enabled) {
+                    updateSpacePebbles(dustObj, dt, _dustMove, _dustTurn); // stream past at the ship's real velocity
+                } else {
+                    const tScale = (params.timeScale ?? 1) * (params.spaceDustSpeed || 0.6);
+                    updateSpacePebbles(dustObj, dt, _dustMove.set(0, 0, tScale * dt));
+                }
+
+                // Live changes: count/spread → recreate (simple)
+                if (
+                    params.spaceDustCount !== dustObj.pos.length ||
+                    params.spaceDustSpread !== dustObj.spread ||
+                    params.spaceDustMinScale !== dustObj.sMin ||
+                    params.spaceDustMaxScale !== dustObj.sMax
+                ) {
+                    dustObj.dispose();
+                    scene.userData.spaceDust = this._createSpaceDust();
+                }
+            }
+        }
+
+        if (params.measureFrom && this.measureTool.result) this._updateMeasurement(); // after the camera moved too
+        if (params.labelsEnabled) this._updateLabels(); // after the camera moved, so labels do not lag
+
+        // sun animation runs on real time, so it keeps moving while the clock is paused
+        updateSun(this.corona, camera, dt);
+        if (params.lensFlare) updateLensFlare(this.lensFlare, camera, this._occluders, this.sun.scale.x, dt);
+        else this.lensFlare.visible = false;
+
+        this._render();
+        this._emit('frame', {jd: simClock.jd, dt});
+    }
+
+    // Resolve the measurement endpoints for the current positions and redraw the tool
+    _updateMeasurement() {
+        const {params, camera} = this;
+        const [from, to, observer] = this._measurePoints;
+        this.measureTool.update({
+            from: this._measurePoint(params.measureFrom, from),
+            to: this._measurePoint(params.measureTo, to),
+            observer: params.measureObserver ? this._measurePoint(params.measureObserver, observer) : null,
+            camera
+        });
+    }
+
+    // One endpoint: scene position and real heliocentric position (AU) when there is one
+    _measurePoint(name, point) {
+        point.name = name;
+        if (name === MEASURE_CAMERA) {
+            point.scene.copy(this.camera.position);
+            // scene units are proportional to AU only in the true-distance layout
+            const linear = this._scaleLayout.mode === 'true-distance' && !this._scaleTransition;
+            point.au = linear ? point.auVector.copy(point.scene).divideScalar(this._scaleLayout.radial(1)) : null;
+        } else {
+            const mesh = this.bodies.get(name);
+            mesh.getWorldPosition(point.scene);
+            point.au = this._heliocentricAU(mesh, point.auVector);
+        }
+        return point;
+    }
+
+    /**
+     * Real heliocentric position of a body from its orbital elements, whatever the scale mode.
+     * @param {THREE.Mesh} mesh - Any body mesh.
+     * @param {THREE.Vector3} target
+     * @returns {THREE.Vector3|null} AU in the scene's axes; null for a moon without a semi-major axis.
+     */
+    _heliocentricAU(mesh, target) {
+        const {kind, body, parentBody} = mesh.userData;
+        const jd = this.simClock.jd;
+        if (kind === 'star') return target.set(0, 0, 0);
+        if (kind !== 'moon') return orbitalPosition(body.elements, jd, body.elements.a, target);
+        if (!body.elements.a || !this._heliocentricAU(this.bodies.get(parentBody.name), target)) return null;
+        // equatorial elements lean with the parent's tilt; ecliptic ones are already in the scene's axes
+        orbitalPosition(body.elements, jd, body.elements.a, _moonOffset);
+        if (body.elements.frame !== 'ecliptic') _moonOffset.applyQuaternion(mesh.parent.getWorldQuaternion(_moonFrame));
+        return target.add(_moonOffset);
+    }
+
+    // Free-flight step: move the ship among the bodies, then derive the pebbles' camera-space motion
+    _stepFlight(dt) {
+        const {camera, controls, flight} = this;
+        _flightFrom.copy(camera.position);
+        _flightFromQuat.copy(camera.quaternion);
+        this._flightObstacles.forEach((obstacle) => {
+            obstacle.mesh.getWorldPosition(obstacle.center);
+            obstacle.radius = obstacle.mesh.getWorldScale(_flightDir).x;
+        });
+        flight.update(dt, this._flightObstacles, this.params.flightSpeed * this._scaleLayout.extent);
+
+        // keep the orbit target just ahead, so links, keyframes and leaving flight start from this view
+        controls.target.copy(camera.position).addScaledVector(camera.getWorldDirection(_flightDir), controls.minDistance);
+
+        // world-fixed pebbles: in camera space they undo the camera's own turn and move
+        const inverse = _flightInverse.copy(camera.quaternion).invert();
+        _dustTurn.copy(inverse).multiply(_flightFromQuat);
+        _dustMove.subVectors(_flightFrom, camera.position).applyQuaternion(inverse);
+    }
+
+    // File name for exports: the simulation date, e.g. solar-system-2026-10-19-14-05.png
+    _captureName(extension) {
+        return `solar-system-${formatSimDate(this.simClock.jd).replace(/[^0-9]+/g, '-').replace(/-$/, '')}.${extension}`;
+    }
+
+    // Draw the scene: through the bloom composer, or directly when bloom is off
+    _render() {
+        if (this.params.bloom) this.postprocessing.render(); // scene + bloom + tone mapping
+        else this.renderer.render(this.scene, this.camera); // draw frame directly
+    }
+
+    _emit(name, payload) {
+        const set = this._listeners.get(name);
+        if (!set) return;
+        set.forEach((handler) => {
+            try {
+                handler(payload);
+            } catch (err) {
+                console.error(`SolarSystem "${name}" handler failed:`, err); // one bad handler must not stop the loop
+            }
+        });
+    }
+}
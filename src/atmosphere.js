@@ -0,0 +1,97 @@
+/*
+ Atmospheres
+ -----------
+ A thin scattering shell around a planet, configured per body in the system definition:
+     "atmosphere": {"color": "#5fa3ff", "thickness": 0.05, "density": 1}
+ - color     : scattering color (blue for Earth, dusty for Mars, yellow for Venus...).
+ - thickness : shell height as a fraction of the planet radius.
+ - density   : overall strength; thick atmospheres (Venus) also haze over more of the disk.
+ Two additive passes share one shader:
+ - glow (back faces of the shell): the halo beyond the limb. Brightness follows the path length
+   through the shell, so it peaks at the planet's edge and fades outward.
+ - limb (front faces): haze over the disk that brightens toward the edge.
+ Both are lit from the sun's direction (the sun sits at the origin): the night side fades out,
+ and a forward-scattering term makes the ring glow when the planet is backlit.
+*/
+import * as THREE from 'three';
+
+const vertexShader = /* glsl */ `
+varying vec3 vWorldPos;
+varying vec3 vWorldNormal;
+void main() {
+    vec4 world = modelMatrix * vec4(position, 1.0);
+    vWorldPos = world.xyz;
+    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * viewMatrix * world;
+}
+`;
+
+const fragmentShader = /* glsl */ `
+uniform vec3 uColor;
+uniform float uDensity;
+uniform float uEdge;  // |dot(N, V)| at the planet's limb, seen on the shell's back face
+uniform float uLimb;  // 1 = front (disk haze) pass, 0 = back (halo) pass
+varying vec3 vWorldPos;
+varying vec3 vWorldNormal;
+void main() {
+    vec3 n = normalize(vWorldNormal);
+    vec3 viewDir = normalize(cameraPosition - vWorldPos);
+    vec3 sunDir = normalize(-vWorldPos);
+    float facing = dot(n, viewDir);
+
+    float depth;
+    if (uLimb > 0.5) {
+        depth = pow(1.0 - clamp(facing, 0.0, 1.0), 2.0 / max(uDensity, 0.25)); // haze thickens toward the edge; dense air reaches further in
+    } else {
+        depth = pow(clamp(-facing / uEdge, 0.0, 1.0), 1.5); // path length through the shell
+    }
+
+    float lit = smoothstep(-0.3, 0.35, dot(n, sunDir)); // day side (wraps a little past the terminator)
+    float forward = pow(max(dot(-viewDir, sunDir), 0.0), 8.0); // backlit ring
+    float strength = uDensity * depth * (lit + forward * 0.8);
+    gl_FragColor = vec4(uColor * strength, 1.0); // additive: color carries the strength
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Build an atmosphere shell for a planet mesh (unit sphere scaled to the planet radius).
+ * @param {{color?:string|number, thickness?:number, density?:number}} atmosphere
+ * @param {{segments?:number, name?:string}} [options] - Sphere detail and object name.
+ * @returns {THREE.Group} Group with the halo and limb meshes; add it to the planet mesh.
+ */
+export const createAtmosphere = ({color = 0x6fa8ff, thickness = 0.05, density = 1} = {}, {segments = 48, name = 'atmosphere'} = {}) => {
+    const scale = 1 + thickness;
+    const geometry = new THREE.SphereGeometry(1, segments, segments);
+    const makePass = (limb) => new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        uniforms: {
+            uColor: {value: new THREE.Color(color)},
+            uDensity: {value: density},
+            uEdge: {value: Math.sqrt(1 - 1 / (scale * scale))},
+            uLimb: {value: limb ? 1 : 0}
+        },
+        side: limb ? THREE.FrontSide : THREE.BackSide,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false
+    });
+
+    const group = new THREE.Group();
+    group.name = name;
+
+    const halo = new THREE.Mesh(geometry, makePass(false));
+    halo.name = `${name}-halo`;
+    halo.scale.setScalar(scale);
+
+    // the haze sits just above the ground so it covers the disk without z-fighting the surface
+    const limb = new THREE.Mesh(geometry, makePass(true));
+    limb.name = `${name}-limb`;
+    limb.scale.setScalar(1.002);
+
+    group.add(halo, limb);
+    halo.userData.surfaceLayer = limb.userData.surfaceLayer = true; // geometry follows quality changes with the planet
+    return group;
+};
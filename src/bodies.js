@@ -0,0 +1,507 @@
+/*
+ Body builders
+ -------------
+ Scene-graph builders for everything that orbits: planets (with their orbit/tilt/moon groups),
+ moons, orbit lines, planetary rings, and instanced asteroid belts and Trojan swarms whose rocks
+ orbit on the GPU. They take plain definition
+ data (see systems/system.schema.json) plus already-loaded textures/materials and return
+ three.js objects; SolarSystem.js decides where they go and animates them.
+*/
+import * as THREE from 'three';
+import {J2000, meanAnomalyAt, orbitalPlaneQuaternion, orbitalPosition, perifocalEllipsePoints} from './kepler.js';
+import {createRingProfileTexture} from './proceduralTextures.js';
+
+/**
+ * Create a planetary ring system in the planet's equatorial plane.
+ * The ring is a flat annulus whose texture is a radial profile (color and alpha per radius, see
+ * createRingProfileTexture), so bands and gaps such as Saturn's A/B/C rings and the Cassini
+ * division cost one draw call. An optional instanced layer of small rocks adds depth for close-ups.
+ * The group is scaled by the planet radius and attached to the tilt group, so it leans with the
+ * planet's axis but does not spin with its day.
+ * @param {THREE.Object3D} tiltGroup - The planet's tilt group (see buildPlanetWithTilt).
+ * @param {number} planetRadius - Planet radius in scene units; ring radii are multiples of it.
+ * @param {{name?:string, innerRadius:number, outerRadius:number, tilt?:number, color?:string|number,
+ *   bands?:object[], opacity?:number, seed?:string, map?:THREE.Texture, segments?:number,
+ *   particles?:{count:number, minScale?:number, maxScale?:number, map?:THREE.Texture}|null}} ringData
+ *   bands: [{inner, outer, opacity, color}] in planet radii (one band spanning the ring by default);
+ *   map: a radial strip image to use instead of the generated profile; tilt: extra degrees off the equator.
+ * @returns {THREE.Group} Group with the annulus; userData holds {annulus, innerRadius, outerRadius, map}
+ *   and, when requested, `particles`.
+ */
+export const createPlanetRing = (tiltGroup, planetRadius, ringData) => {
+    const {
+        innerRadius,
+        outerRadius,
+        tilt = 0,
+        color = 0xd9c9a8,
+        opacity = 0.6,
+        segments = 256,
+        particles = null
+    } = ringData;
+    const bands = ringData.bands && ringData.bands.length
+        ? ringData.bands
+        : [{inner: innerRadius, outer: outerRadius, opacity, color}];
+
+    const ringGroup = new THREE.Group();
+    ringGroup.name = ringData.name || 'ring';
+    ringGroup.scale.setScalar(planetRadius); // ring radii are in planet radii
+    ringGroup.rotation.x = THREE.MathUtils.degToRad(tilt); // 0 = exactly in the equatorial plane
+
+    // Annulus in the XZ plane; u runs from the inner (0) to the outer (1) edge so the strip maps radially
+    const geometry = new THREE.RingGeometry(innerRadius, outerRadius, segments, 1);
+    geometry.rotateX(-Math.PI / 2);
+    const pos = geometry.attributes.position;
+    const uv = geometry.attributes.uv;
+    for (let i = 0; i < pos.count; i++) {
+        const r = Math.hypot(pos.getX(i), pos.getZ(i));
+        uv.setXY(i, (r - innerRadius) / (outerRadius - innerRadius), 0.5);
+    }
+    uv.needsUpdate = true;
+
+    const map = ringData.map ?? createRingProfileTexture(bands, {
+        inner: innerRadius,
+        outer: outerRadius,
+        color,
+        seed: ringData.seed ?? ringGroup.name
+    });
+    const material = new THREE.MeshStandardMaterial({
+        map,
+        transparent: true, // alpha comes from the profile
+        side: THREE.DoubleSide, // visible from above and below the ring plane
+        depthWrite: false, // let the planet and particles behind show through
+        roughness: 1,
+        metalness: 0
+    });
+    const annulus = new THREE.Mesh(geometry, material);
+    annulus.name = `${ringGroup.name}-annulus`;
+    ringGroup.add(annulus);
+    Object.assign(ringGroup.userData, {annulus, innerRadius, outerRadius, map}); // for ring shadows
+
+    // Optional close-up layer: instanced rocks spread over the bands, denser where the ring is opaque
+    if (particles && particles.count > 0) {
+        const {count, minScale = 0.006, maxScale = 0.02} = particles;
+        const rockGeo = new THREE.IcosahedronGeometry(1, 0);
+        const rockMat = new THREE.MeshStandardMaterial({
+            map: particles.map ?? null,
+            color,
+            roughness: 0.9
+        });
+        const rocks = new THREE.InstancedMesh(rockGeo, rockMat, count);
+
+        // pick bands in proportion to opacity × area
+        const weights = bands.map((b) => (b.opacity ?? opacity) * (b.outer * b.outer - b.inner * b.inner));
+        const total = weights.reduce((sum, w) => sum + w, 0) || 1;
+        const dummy = new THREE.Object3D();
+        for (let i = 0; i < count; i++) {
+            let pick = Math.random() * total;
+            let band = bands[0];
+            for (let j = 0; j < bands.length; j++) {
+                pick -= weights[j];
+                if (pick <= 0) {
+                    band = bands[j];
+                    break;
+                }
+            }
+            const angle = Math.random() * Math.PI * 2;
+            const r = Math.sqrt(band.inner * band.inner + Math.random() * (band.outer * band.outer - band.inner * band.inner));
+            dummy.position.set(Math.cos(angle) * r, (Math.random() - 0.5) * 0.004, Math.sin(angle) * r); // rings are thin
+            dummy.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+            dummy.scale.setScalar(minScale + Math.random() * (maxScale - minScale));
+            dummy.updateMatrix();
+            rocks.setMatrixAt(i, dummy.matrix);
+        }
+        rocks.instanceMatrix.needsUpdate = true;
+        rocks.name = `${ringGroup.name}-particles`;
+        ringGroup.add(rocks);
+        ringGroup.userData.particles = rocks;
+    }
+
+    // frees what this ring created (the generated profile, geometries, materials, instance buffers)
+    ringGroup.userData.dispose = () => {
+        ringGroup.removeFromParent();
+        if (!ringData.map) map.dispose();
+        ringGroup.traverse((obj) => {
+            if (obj.geometry) obj.geometry.dispose();
+            if (obj.material) obj.material.dispose();
+            if (obj.isInstancedMesh) obj.dispose();
+        });
+    };
+
+    tiltGroup.add(ringGroup);
+    return ringGroup;
+};
+
+/*
+ Orbiting rocks: every asteroid of a belt or Trojan swarm carries its own Keplerian elements as
+ instance attributes, and the vertex shader solves Kepler's equation for the simulation date
+ (uDays), so inner asteroids overtake outer ones and the whole belt costs one draw call and no
+ per-frame CPU work. The instance matrix only holds each rock's orientation and size; the orbit
+ offset is added on top, in the mesh's frame (belts stretch with the scale modes through it).
+*/
+const orbitingRocksChunk = /* glsl */ `
+attribute vec4 orbit;       // a (scene units), e, period (days), mean anomaly at J2000 (rad)
+attribute vec3 orientation; // inclination, node, argument of periapsis (rad)
+uniform float uDays;        // simulation days since J2000
+vec3 rockRotY(vec3 v, float a) {
+    float c = cos(a), s = sin(a);
+    return vec3(v.x * c + v.z * s, v.y, -v.x * s + v.z * c);
+}
+vec3 rockRotX(vec3 v, float a) {
+    float c = cos(a), s = sin(a);
+    return vec3(v.x, v.y * c - v.z * s, v.y * s + v.z * c);
+}
+vec3 rockOrbitPosition() {
+    float e = orbit.y;
+    float M = orbit.w + 6.2831853 * fract(uDays / orbit.z); // fract keeps float precision over centuries
+    float E = M;
+    for (int k = 0; k < 4; k++) E -= (E - e * sin(E) - M) / (1.0 - e * cos(E)); // e is small: Newton converges fast
+    vec3 p = vec3(orbit.x * (cos(E) - e), 0.0, -orbit.x * sqrt(1.0 - e * e) * sin(E));
+    // perifocal -> parent frame, as orbitalPlaneQuaternion() in kepler.js
+    return rockRotY(rockRotX(rockRotY(p, orientation.z), orientation.x), orientation.y);
+}
+`;
+
+const orbitingRocksProject = /* glsl */ `
+vec4 mvPosition = vec4(transformed, 1.0);
+#ifdef USE_INSTANCING
+    mvPosition = instanceMatrix * mvPosition;
+#endif
+mvPosition.xyz += rockOrbitPosition();
+mvPosition = modelViewMatrix * mvPosition;
+gl_Position = projectionMatrix * mvPosition;
+`;
+
+// Instanced low-poly rocks on per-instance orbits; elements: one [a, e, period, M0, i, node, peri] per rock
+const createOrbitingRocks = (elements, {minScale, maxScale, map, color}) => {
+    const count = elements.length;
+    const rockGeo = new THREE.IcosahedronGeometry(1, 0);
+    const orbit = new Float32Array(count * 4);
+    const orientation = new Float32Array(count * 3);
+    elements.forEach(([a, e, period, M0, i, node, peri], k) => {
+        orbit.set([a, e, period, M0], k * 4);
+        orientation.set([i, node, peri], k * 3);
+    });
+    rockGeo.setAttribute('orbit', new THREE.InstancedBufferAttribute(orbit, 4));
+    rockGeo.setAttribute('orientation', new THREE.InstancedBufferAttribute(orientation, 3));
+
+    const days = {value: 0};
+    const rockMat = new THREE.MeshStandardMaterial({
+        map,
+        color: map ? 0xffffff : color, // plain color only for untextured belts
+        roughness: 0.95,
+        metalness: 0.03
+    });
+    rockMat.onBeforeCompile = (shader) => {
+        shader.uniforms.uDays = days;
+        shader.vertexShader = shader.vertexShader
+            .replace('#include <common>', `#include <common>\n${orbitingRocksChunk}`)
+            .replace('#include <project_vertex>', orbitingRocksProject);
+    };
+
+    const instanced = new THREE.InstancedMesh(rockGeo, rockMat, count);
+    const dummy = new THREE.Object3D();
+    for (let k = 0; k < count; k++) {
+        dummy.rotation.set(Math.random() * Math.PI, Math.random() * Math.PI, Math.random() * Math.PI);
+        dummy.scale.setScalar(minScale + Math.random() * (maxScale - minScale));
+        dummy.updateMatrix();
+        instanced.setMatrixAt(k, dummy.matrix);
+    }
+    instanced.instanceMatrix.needsUpdate = true;
+    instanced.frustumCulled = false; // the instance bounds know nothing of the orbits
+    instanced.userData.days = days;
+    return instanced;
+};
+
+/**
+ * Move the rocks of a belt or Trojan swarm to their orbital positions for a date (GPU side).
+ * @param {THREE.InstancedMesh} rocks - From createAsteroidBelt or createTrojanSwarms.
+ * @param {number} jd - Julian date.
+ */
+export const updateBeltOrbits = (rocks, jd) => {
+    rocks.userData.days.value = jd - J2000;
+};
+
+const DAYS_PER_YEAR = 365.25;
+
+/**
+ * Create a broad asteroid belt around the origin (the Sun) using InstancedMesh for performance.
+ * Each instance is a low‑poly rock with random rotation and scale on its own Kepler orbit:
+ * semi-major axes are drawn in AU (uniform per area), periods follow Kepler's third law and
+ * positions come from `radial`, so the belt keeps the scene's distance scale. Resonance gaps
+ * (Kirkwood gaps) thin out the semi-major axes around each gap's center.
+ * Call updateBeltOrbits() to set the date.
+ * @param {THREE.Scene} scene - Scene to add the belt to.
+ * @param {{innerRadius?:number, outerRadius?:number, innerAU?:number, outerAU?:number, radial?:function(number):number,
+ *   gaps?:{a:number, width:number}[], thickness?:number, eccentricity?:number, count?:number, minScale?:number,
+ *   maxScale?:number, tilt?:number, map?:THREE.Texture, color?:string|number}} [options]
+ *   innerAU/outerAU: the belt's extent in AU; radial: AU -> scene units (linear from the AU to the scene
+ *   extent by default); gaps: centers and widths in AU; eccentricity: largest orbit eccentricity.
+ * @returns {THREE.InstancedMesh} The instanced mesh representing the asteroid belt.
+ */
+export const createAsteroidBelt = (scene, options = {}) => {
+    const {
+        innerRadius = 28,     // just outside Mars (Mars ~25)
+        outerRadius = 36,     // just inside Jupiter (Jupiter ~40)
+        innerAU = 2.1,
+        outerAU = 3.5,
+        radial = (au) => innerRadius + ((au - innerAU) / (outerAU - innerAU)) * (outerRadius - innerRadius),
+        gaps = [],
+        thickness = 2.0,      // vertical thickness
+        eccentricity = 0.12,  // low, so the gaps stay visible in the rocks' positions
+        count = 2000,         // number of asteroids
+        minScale = 0.05,
+        maxScale = 0.25,
+        tilt = 2,             // degrees, so the belt isn't perfectly flat
+        map = null,
+        color = 0x8b7d6b
+    } = options;
+
+    // semi-major axis: uniform in area between inner and outer, rejected near a resonance
+    const depleted = (au) => gaps.some((gap) => Math.random() < Math.exp(-(((au - gap.a) / gap.width) ** 2)));
+    const drawAU = () => {
+        for (let tries = 0; tries < 20; tries++) {
+            const au = Math.sqrt(Math.random() * (outerAU * outerAU - innerAU * innerAU) + innerAU * innerAU);
+            if (!depleted(au)) return au;
+        }
+        return innerAU; // pathological gap list: give up rather than loop
+    };
+
+    const elements = [];
+    for (let k = 0; k < count; k++) {
+        const au = drawAU();
+        const a = radial(au);
+        const maxInclination = Math.asin(Math.min(1, thickness / 2 / a)); // +-thickness/2 out of the plane
+        elements.push([
+            a,
+            Math.random() ** 2 * eccentricity,
+            DAYS_PER_YEAR * au ** 1.5, // Kepler's third law around a solar-mass star
+            Math.random() * Math.PI * 2,
+            (Math.random() * 2 - 1) * maxInclination,
+            Math.random() * Math.PI * 2,
+            Math.random() * Math.PI * 2
+        ]);
+    }
+    const instanced = createOrbitingRocks(elements, {minScale, maxScale, map, color});
+
+    // slight tilt so belt isn't perfectly flat
+    instanced.rotation.x = THREE.MathUtils.degToRad(tilt);
+
+    scene.add(instanced);
+    return instanced;
+};
+
+/**
+ * Trojan swarms of a planet: rocks sharing its orbital period, leading (L4) and trailing (L5) it
+ * by 60° of mean longitude, so they keep pace with the planet on the GPU like belt asteroids.
+ * @param {THREE.Scene} scene - Scene to add the swarms to.
+ * @param {{distance:number, elements:object}} planetData - The planet (distance in scene units).
+ * @param {{count?:number, spread?:number, width?:number, inclination?:number, minScale?:number, maxScale?:number,
+ *   map?:THREE.Texture, color?:string|number}} [options]
+ *   spread: degrees of mean longitude around each point; width: relative spread of the semi-major
+ *   axis; inclination: largest inclination in degrees.
+ * @returns {THREE.InstancedMesh} Both swarms in one instanced mesh.
+ */
+export const createTrojanSwarms = (scene, planetData, options = {}) => {
+    const {
+        count = 600,
+        spread = 25,
+        width = 0.04,
+        inclination = 20,
+        minScale = 0.04,
+        maxScale = 0.16,
+        map = null,
+        color = 0x7d6f63
+    } = options;
+    const el = planetData.elements;
+    const DEG = Math.PI / 180;
+    // the planet's mean longitude at J2000 (node + peri + mean anomaly), radians
+    const longitude = ((el.node || 0) + (el.peri || 0)) * DEG + meanAnomalyAt(el, J2000);
+
+    const elements = [];
+    for (let k = 0; k < count; k++) {
+        const lead = k % 2 === 0 ? 1 : -1; // alternate L4 (ahead) and L5 (behind)
+        const offset = (Math.random() + Math.random() + Math.random() - 1.5) / 1.5 * spread; // peaked at the point
+        const node = Math.random() * Math.PI * 2;
+        const peri = Math.random() * Math.PI * 2;
+        elements.push([
+            planetData.distance * (1 + (Math.random() * 2 - 1) * width),
+            Math.random() * 0.1,
+            el.period, // 1:1 resonance
+            longitude + (lead * 60 + offset) * DEG - node - peri,
+            Math.random() * inclination * DEG,
+            node,
+            peri
+        ]);
+    }
+    const instanced = createOrbitingRocks(elements, {minScale, maxScale, map, color});
+    scene.add(instanced);
+    return instanced;
+};
+
+/**
+ * Sphere segment count for a body: more for big planets, scaled by the quality preset.
+ * @param {number} radius - Radius in scene units.
+ * @param {number} [segmentScale=1] - Quality multiplier (see quality.js).
+ * @returns {number}
+ */
+export const sphereSegments = (radius, segmentScale = 1) => {
+    const base = radius > 3 ? 64 : (radius > 1 ? 32 : 16);
+    return Math.max(8, Math.round(base * segmentScale));
+};
+
+// Moons are small on screen: a low-poly sphere is fine
+export const moonSegments = (segmentScale = 1) => Math.max(8, Math.round(12 * segmentScale));
+
+/**
+ * Build a planet with an orbital parent and an axial-tilt group.
+ * Structure: orbitGroup (heliocentric frame, holds the orbit line)
+ *              -> tiltGroup (placed on the Kepler orbit, leans by tilt)
+ *                   -> planet mesh (spins about its axis)
+ *                   -> moonGroup (scaled by radius; moons orbit in the equatorial plane)
+ * Call placeBody() afterwards to position it for a Julian date.
+ * @param {{name:string,radius:number,distance:number,tilt:number,poleLongitude?:number,elements:object,material:THREE.Material,
+ *   surfaceModel?:{material:THREE.Material, layers:THREE.Object3D[]}}} planetData
+ *   surfaceModel: optional layered surface (surfaceModels.js); its material replaces `material`
+ *   and its layers (clouds...) are parented to the planet mesh.
+ * @param {{segmentScale?:number}} [quality] - Quality settings (see quality.js).
+ * @returns {{orbitGroup:THREE.Group, tiltGroup:THREE.Group, mesh:THREE.Mesh, moonGroup:THREE.Group}}
+ */
+export const buildPlanetWithTilt = (planetData, {segmentScale = 1} = {}) => {
+    // orbitGroup sits at the sun; the Kepler engine moves the tilt group inside it
+    const orbitGroup = new THREE.Group();
+    orbitGroup.name = `${planetData.name}-orbit`;
+
+    // tiltGroup is rotated to represent axial tilt (tilt applied around local X or Z)
+    // we rotate around Z so tilt axis leans relative to orbital plane (Y up).
+    const tiltGroup = new THREE.Group();
+    tiltGroup.name = `${planetData.name}-tilt`;
+    // convert degrees to radians and apply tilt on Z (lean forward/back)
+    const tiltRad = (planetData.tilt || 0) * Math.PI / 180;
+    // the Z tilt leans the pole toward ecliptic longitude 180° (-X); turning about Y afterwards
+    // (Euler XYZ applies Z first) points it at `poleLongitude`, so seasons fall on the right dates
+    const poleRad = ((planetData.poleLongitude ?? 180) - 180) * Math.PI / 180;
+    tiltGroup.rotation.set(0, poleRad, tiltRad);
+
+    // planet mesh as unit sphere scaled to radius
+    // use appropriate segments depending on size and quality
+    const segments = sphereSegments(planetData.radius, segmentScale);
+    const geo = new THREE.SphereGeometry(1, segments, segments);
+    const surfaceModel = planetData.surfaceModel || null;
+    const mat = (surfaceModel && surfaceModel.material) || planetData.material || new THREE.MeshStandardMaterial({color: 0x888888});
+    const planetMesh = new THREE.Mesh(geo, mat);
+    planetMesh.name = planetData.name;
+    planetMesh.scale.setScalar(planetData.radius);
+    planetMesh.userData.kind = planetData.dwarf ? 'dwarf planet' : 'planet'; // used by selection/info panel
+    planetMesh.userData.body = planetData;
+    if (surfaceModel) {
+        surfaceModel.layers.forEach((layer) => planetMesh.add(layer)); // layers turn with the planet's day
+        planetMesh.userData.surfaceModel = surfaceModel;
+    }
+
+    // moons hang off a non-spinning group so the planet's day does not drag them around
+    const moonGroup = new THREE.Group();
+    moonGroup.name = `${planetData.name}-moons`;
+    moonGroup.scale.setScalar(planetData.radius); // moon distances/radii are in parent radii
+
+    // structure: orbitGroup -> tiltGroup -> (planetMesh, moonGroup)
+    tiltGroup.add(planetMesh);
+    tiltGroup.add(moonGroup);
+    orbitGroup.add(tiltGroup);
+
+
+    // return references to add to scene and animate later
+    return {orbitGroup, tiltGroup, mesh: planetMesh, moonGroup};
+}
+
+/**
+ * Build a moon mesh for a planet's moon group.
+ * @param {{name:string, radius:number}} moonData
+ * @param {object} parentData - The planet definition the moon belongs to.
+ * @param {THREE.Material} material
+ * @param {{segmentScale?:number}} [quality] - Quality settings (see quality.js).
+ * @returns {THREE.Mesh}
+ */
+export const buildMoon = (moonData, parentData, material, {segmentScale = 1} = {}) => {
+    const segments = moonSegments(segmentScale);
+    const moonGeo = new THREE.SphereGeometry(1, segments, segments);
+    const moonMesh = new THREE.Mesh(moonGeo, material);
+    moonMesh.name = moonData.name;
+    moonMesh.scale.setScalar(moonData.radius); // visual moon radius
+
+    // mark as moon and keep its config so the Kepler engine can place it
+    moonMesh.userData.isMoon = true; // used to filter children in render loop
+    moonMesh.userData.kind = 'moon';
+    moonMesh.userData.body = moonData;
+    moonMesh.userData.parentBody = parentData;
+    return moonMesh;
+};
+
+const _frame = new THREE.Quaternion();
+
+/**
+ * Rotation from the frame a body's elements are given in to the frame of `parent`.
+ * Elements are in the parent's frame (a moon: its planet's equator) unless they declare
+ * `frame: "ecliptic"`; then the rotations of every group above the body (the planet's tilt)
+ * are undone. Read from the local quaternions, so it is right before the first render.
+ * @param {object} elements
+ * @param {THREE.Object3D} parent - The object the body (or its orbit line) hangs from.
+ * @param {THREE.Quaternion} target
+ * @returns {THREE.Quaternion}
+ */
+export const elementFrameQuaternion = (elements, parent, target) => {
+    target.identity();
+    if (elements.frame !== 'ecliptic') return target;
+    for (let node = parent; node; node = node.parent) target.premultiply(node.quaternion);
+    return target.invert();
+};
+
+/**
+ * Kepler engine step for one body: put it on its orbit for the given Julian date.
+ * Works for planets (tilt group in the heliocentric orbit group) and moons (mesh in the
+ * parent's moon group); `distance` is the semi-major axis in the parent's units.
+ * @param {THREE.Object3D} object - The object whose position follows the orbit.
+ * @param {{distance:number, elements:object}} bodyData
+ * @param {number} jd - Julian date.
+ */
+export const placeBody = (object, bodyData, jd) => {
+    orbitalPosition(bodyData.elements, jd, bodyData.distance, object.position);
+    if (bodyData.elements.frame === 'ecliptic') object.position.applyQuaternion(elementFrameQuaternion(bodyData.elements, object.parent, _frame));
+};
+
+/**
+ * Orbit line tracing the real Kepler ellipse of a body, in its parent's frame. The ellipse is
+ * drawn in the perifocal frame and turned onto the orbit by orientOrbitLine().
+ * @param {{distance:number, elements:object}} bodyData
+ * @returns {THREE.LineLoop}
+ */
+export const createOrbitLine = (bodyData) => {
+    const points = perifocalEllipsePoints(bodyData.elements.e || 0, bodyData.distance, 240);
+    const geometry = new THREE.BufferGeometry().setFromPoints(points);
+    const material = new THREE.LineBasicMaterial({color: 0xffffff, transparent: true, opacity: 0.35});
+    const orbit = new THREE.LineLoop(geometry, material);
+    orbit.name = `${bodyData.name}-orbit-line`;
+    orbitalPlaneQuaternion(bodyData.elements, orbit.quaternion);
+    return orbit;
+};
+
+/**
+ * Whether a body's orbit line needs orientOrbitLine() every frame: its node or periapsis
+ * precesses, or its elements are ecliptic (the parent's tilt is undone). Other lines keep the
+ * epoch orientation createOrbitLine() gave them.
+ * @param {object} elements
+ * @returns {boolean}
+ */
+export const orbitLineMoves = (elements) => !!(elements.nodeRate || elements.periRate || elements.frame === 'ecliptic');
+
+/**
+ * Turn an orbit line (already added to its parent) onto the orbit at a Julian date: follows a
+ * precessing node and periapsis and undoes the parent's tilt for ecliptic-frame elements.
+ * @param {THREE.LineLoop} orbit - From createOrbitLine().
+ * @param {{elements:object}} bodyData
+ * @param {number} jd - Julian date.
+ */
+export const orientOrbitLine = (orbit, bodyData, jd) => {
+    const {elements} = bodyData;
+    orbitalPlaneQuaternion(elements, orbit.quaternion, jd);
+    if (elements.frame === 'ecliptic') orbit.quaternion.premultiply(elementFrameQuaternion(elements, orbit.parent, _frame));
+};
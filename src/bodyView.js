@@ -0,0 +1,281 @@
+/*
+ Body views
+ ----------
+ Cameras attached to a planet or moon instead of OrbitControls:
+ - 'surface': an observer standing at a latitude/longitude on the body. The spot is a point of
+   the body's mesh, so it turns with the day (the mesh's rotation.y) and leans with the tilt
+   group; "up" is the local vertical and north is the spin axis projected onto the ground.
+   Longitude counts eastward (the direction of the spin) from the texture's center meridian.
+   Dragging looks around (azimuth/altitude), the wheel zooms the field of view.
+ - 'ride': a companion flying in formation, `distance` body radii away. Its frame is the body's
+   orbit: radial from the orbit's center (the sun, or the parent planet for a moon), the orbit
+   normal (the parent frame's +Y) and prograde. The body stays centered and lit the same way
+   while the sky turns behind it. Dragging moves around the body, the wheel changes the distance.
+ Both draw a HUD over the view: the horizon (the ground, or the orbital plane when riding) with
+ compass ticks, cardinal points (or Sun/Prograde/Outward/Retrograde) and a readout.
+*/
+import * as THREE from 'three';
+
+export const BODY_VIEW_MODES = ['surface', 'ride'];
+
+const EYE_HEIGHT = 0.01; // observer height above the surface, in body radii
+const DRAG_SPEED = 0.25; // degrees per dragged pixel
+const RIDE_DISTANCE = [1.5, 200]; // allowed ride distance, in body radii
+const FOV_RANGE = [5, 100]; // surface telescope zoom, degrees
+const SURFACE_LABELS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW']; // every 45°
+const DEG = Math.PI / 180;
+
+const _up = new THREE.Vector3();
+const _north = new THREE.Vector3();
+const _east = new THREE.Vector3();
+const _center = new THREE.Vector3();
+const _forward = new THREE.Vector3();
+const _dir = new THREE.Vector3();
+const _point = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+
+// direction at azimuth/altitude (degrees) in a local frame; azimuth runs from north toward east
+const frameDirection = (azimuth, altitude, target) => target.copy(_north).multiplyScalar(Math.cos(azimuth * DEG))
+    .addScaledVector(_east, Math.sin(azimuth * DEG))
+    .multiplyScalar(Math.cos(altitude * DEG))
+    .addScaledVector(_up, Math.sin(altitude * DEG));
+
+// north = `axis` flattened onto the plane normal to _up; east completes the right-handed frame
+const setFrame = (axis) => {
+    _north.copy(axis).addScaledVector(_up, -axis.dot(_up));
+    if (_north.lengthSq() < 1e-10) _north.set(1, 0, 0).addScaledVector(_up, -_up.x); // at a pole
+    _north.normalize();
+    _east.crossVectors(_north, _up);
+};
+
+const formatAngle = (deg, positive, negative) => `${Math.abs(deg).toFixed(1)}° ${deg < 0 ? negative : positive}`;
+
+/**
+ * Create the (initially inactive) body view controller for a camera.
+ * @param {{camera:THREE.PerspectiveCamera, domElement:HTMLElement, container?:HTMLElement}} options
+ *   domElement: receives drags and the wheel (the canvas); container: hosts the HUD.
+ * @returns {{mode:string|null, body:THREE.Object3D|null, lookAt:THREE.Vector3,
+ *   enable:function(THREE.Object3D, string, object):void, disable:function():void,
+ *   update:function():void, dispose:function():void}}
+ */
+export const createBodyView = ({camera, domElement, container = document.body}) => {
+    const state = {
+        lat: 0,
+        lon: 0,
+        azimuth: 180, // surface: looking south
+        altitude: 10,
+        rideAzimuth: 300, // ride: trailing a little sunward of the body
+        rideElevation: 15,
+        distance: 4,
+        center: null, // ride: object at the orbit's center, its +Y is the orbit normal
+        names: {body: '', center: ''}
+    };
+    const base = {near: camera.near, fov: camera.fov};
+    let dragging = null; // pointer id
+
+    // HUD: horizon and compass on a canvas, readout underneath
+    const hud = document.createElement('div');
+    hud.className = 'body-view-hud';
+    hud.hidden = true;
+    const canvas = document.createElement('canvas');
+    const readout = document.createElement('div');
+    readout.className = 'body-view-hud__readout';
+    hud.append(canvas, readout);
+    container.appendChild(hud);
+    const ctx = canvas.getContext('2d');
+
+    const onPointerDown = (ev) => {
+        if (view.mode && ev.button === 0) dragging = ev.pointerId;
+    };
+    const onPointerMove = (ev) => {
+        if (ev.pointerId !== dragging) return;
+        // grab the sky: dragging right turns the view left
+        if (view.mode === 'surface') {
+            state.azimuth = (state.azimuth - ev.movementX * DRAG_SPEED * camera.fov / base.fov + 360) % 360;
+            state.altitude = THREE.MathUtils.clamp(state.altitude + ev.movementY * DRAG_SPEED * camera.fov / base.fov, -89, 89);
+        } else {
+            state.rideAzimuth = (state.rideAzimuth - ev.movementX * DRAG_SPEED + 360) % 360;
+            state.rideElevation = THREE.MathUtils.clamp(state.rideElevation + ev.movementY * DRAG_SPEED, -85, 85);
+        }
+    };
+    const onPointerUp = (ev) => {
+        if (ev.pointerId === dragging) dragging = null;
+    };
+    const onWheel = (ev) => {
+        if (!view.mode) return;
+        ev.preventDefault(); // no page scroll
+        const k = Math.exp(ev.deltaY * 0.001);
+        if (view.mode === 'surface') {
+            camera.fov = THREE.MathUtils.clamp(camera.fov * k, FOV_RANGE[0], FOV_RANGE[1]);
+            camera.updateProjectionMatrix();
+        } else {
+            state.distance = THREE.MathUtils.clamp(state.distance * k, RIDE_DISTANCE[0], RIDE_DISTANCE[1]);
+        }
+    };
+    domElement.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+    domElement.addEventListener('wheel', onWheel, {passive: false});
+
+    // screen position (CSS px) of a direction from the camera, or null when it is behind
+    const project = (dir, width, height) => {
+        if (dir.dot(_forward) <= 0.02) return null;
+        _point.copy(camera.position).addScaledVector(dir, camera.near * 4).project(camera);
+        return {x: (_point.x + 1) * width / 2, y: (1 - _point.y) * height / 2};
+    };
+
+    // horizon line, ticks every 15° and labels every 360° / labels.length
+    const drawHud = (labels) => {
+        const width = container.clientWidth || 1;
+        const height = container.clientHeight || 1;
+        const ratio = window.devicePixelRatio || 1;
+        if (canvas.width !== Math.round(width * ratio) || canvas.height !== Math.round(height * ratio)) {
+            canvas.width = Math.round(width * ratio);
+            canvas.height = Math.round(height * ratio);
+        }
+        ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+        ctx.clearRect(0, 0, width, height);
+        camera.getWorldDirection(_forward);
+
+        // the horizon is a great circle, so a straight line through any two of its visible points
+        const heading = Math.atan2(_forward.dot(_east), _forward.dot(_north)) / DEG;
+        const a = project(frameDirection(heading - 10, 0, _dir), width, height);
+        const b = project(frameDirection(heading + 10, 0, _dir), width, height);
+        ctx.strokeStyle = 'rgba(102, 204, 255, 0.55)';
+        ctx.fillStyle = '#dfe6ee';
+        ctx.lineWidth = 1;
+        if (a && b) {
+            const dx = b.x - a.x;
+            const dy = b.y - a.y;
+            const far = (width + height) / Math.max(Math.hypot(dx, dy), 1e-6);
+            ctx.beginPath();
+            ctx.moveTo(a.x - dx * far, a.y - dy * far);
+            ctx.lineTo(b.x + dx * far, b.y + dy * far);
+            ctx.stroke();
+        }
+
+        ctx.font = '12px system-ui, sans-serif';
+        ctx.textAlign = 'center';
+        const labelStep = 360 / labels.length;
+        for (let azimuth = 0; azimuth < 360; azimuth += 15) {
+            const p = project(frameDirection(azimuth, 0, _dir), width, height);
+            if (!p) continue;
+            const label = azimuth % labelStep === 0 ? labels[azimuth / labelStep] : null;
+            ctx.beginPath();
+            ctx.moveTo(p.x, p.y - (label ? 8 : 4));
+            ctx.lineTo(p.x, p.y + (label ? 8 : 4));
+            ctx.stroke();
+            if (label) ctx.fillText(label, p.x, p.y - 12);
+        }
+        return heading;
+    };
+
+    const view = {
+        mode: null,
+        body: null,
+        lookAt: new THREE.Vector3(), // world point the camera looks at (body center when riding)
+
+        /**
+         * Attach the camera to a body, or move it on the same body (the look direction is kept).
+         * @param {THREE.Object3D} body - Unit sphere mesh scaled to the body's radius.
+         * @param {'surface'|'ride'} mode
+         * @param {{lat?:number, lon?:number, center?:THREE.Object3D, names?:{body:string, center:string}}} [options]
+         *   lat/lon: observer position in degrees (north and east positive); center: the orbit's
+         *   center object for riding; names: for the HUD readout.
+         */
+        enable: (body, mode, {lat = state.lat, lon = state.lon, center = state.center, names = state.names} = {}) => {
+            if (!view.mode) {
+                base.near = camera.near;
+                base.fov = camera.fov;
+            }
+            if (mode !== view.mode) {
+                camera.fov = base.fov;
+                camera.updateProjectionMatrix();
+            }
+            Object.assign(state, {lat: THREE.MathUtils.clamp(lat, -90, 90), lon, center, names});
+            view.mode = mode;
+            view.body = body;
+            hud.hidden = false;
+        },
+
+        // back to a free camera: near plane, field of view and up vector as they were
+        disable: () => {
+            if (!view.mode) return;
+            view.mode = null;
+            view.body = null;
+            dragging = null;
+            hud.hidden = true;
+            camera.near = base.near;
+            camera.fov = base.fov;
+            camera.up.set(0, 1, 0);
+            camera.updateProjectionMatrix();
+        },
+
+        // place the camera for the bodies' current positions; call after they moved
+        update: () => {
+            const {body} = view;
+            if (!body) return;
+            body.getWorldPosition(_center);
+            const radius = body.getWorldScale(_dir).x;
+            let labels;
+
+            if (view.mode === 'surface') {
+                // a point of the mesh: spin, tilt and orbit all carry it
+                _point.set(
+                    Math.cos(state.lat * DEG) * Math.cos(state.lon * DEG),
+                    Math.sin(state.lat * DEG),
+                    -Math.cos(state.lat * DEG) * Math.sin(state.lon * DEG)
+                ).multiplyScalar(1 + EYE_HEIGHT);
+                camera.position.copy(body.localToWorld(_point));
+                _up.subVectors(camera.position, _center).normalize();
+                setFrame(_dir.set(0, 1, 0).applyQuaternion(body.getWorldQuaternion(_quat))); // spin axis
+                frameDirection(state.azimuth, state.altitude, _forward);
+                view.lookAt.copy(camera.position).add(_forward);
+                labels = SURFACE_LABELS;
+                const near = Math.min(base.near, radius * EYE_HEIGHT * 0.2);
+                if (camera.near !== near) {
+                    camera.near = near;
+                    camera.updateProjectionMatrix();
+                }
+            } else {
+                // orbital frame: north toward the orbit's center, east prograde, up the orbit normal
+                if (state.center) state.center.getWorldPosition(_point);
+                else _point.set(0, 0, 0);
+                _up.set(0, 1, 0);
+                if (state.center) _up.applyQuaternion(state.center.getWorldQuaternion(_quat));
+                setFrame(_dir.subVectors(_point, _center)); // toward the center
+                frameDirection(state.rideAzimuth, state.rideElevation, _dir);
+                camera.position.copy(_center).addScaledVector(_dir, state.distance * radius);
+                view.lookAt.copy(_center);
+                labels = [state.names.center || 'Center', 'Prograde', 'Outward', 'Retrograde'];
+                const near = Math.min(base.near, radius * 0.2);
+                if (camera.near !== near) {
+                    camera.near = near;
+                    camera.updateProjectionMatrix();
+                }
+            }
+            camera.up.copy(_up);
+            camera.lookAt(view.lookAt);
+            camera.updateMatrixWorld();
+
+            const heading = (drawHud(labels) + 360) % 360;
+            if (view.mode === 'surface') {
+                camera.getWorldDirection(_forward);
+                const altitude = Math.asin(THREE.MathUtils.clamp(_forward.dot(_up), -1, 1)) / DEG;
+                readout.textContent = `${state.names.body} · ${formatAngle(state.lat, 'N', 'S')}, ${formatAngle(((state.lon + 540) % 360) - 180, 'E', 'W')} · ` +
+                    `az ${heading.toFixed(0)}° alt ${altitude.toFixed(0)}°`;
+            } else {
+                readout.textContent = `Riding with ${state.names.body} · ${state.distance.toFixed(1)} radii`;
+            }
+        },
+
+        dispose: () => {
+            domElement.removeEventListener('pointerdown', onPointerDown);
+            window.removeEventListener('pointermove', onPointerMove);
+            window.removeEventListener('pointerup', onPointerUp);
+            domElement.removeEventListener('wheel', onWheel);
+            hud.remove();
+        }
+    };
+    return view;
+};
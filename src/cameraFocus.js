@@ -0,0 +1,187 @@
+/*
+ Camera focus / follow
+ ---------------------
+ Smoothly flies the camera and the OrbitControls target to a body, then keeps following it
+ as it orbits by shifting both by the body's per-frame movement. While focused, zoom is
+ enabled with limits derived from the body's world radius (instead of the global
+ minDistance/maxDistance), and the near plane shrinks for tiny moons. release() restores the
+ original controls and flies back to the overview framing. rescale() stretches that overview
+ framing when the scene itself changes size (scale modes). follow() starts following without a
+ flight, for restoring a saved view (viewLink.js); a focus() offset and flyTo() replay recorded
+ camera keyframes (tours.js).
+*/
+import * as THREE from 'three';
+
+const FLY_DURATION = 1.6; // seconds for a fly-to animation
+
+// smoothstep easing for the fly-to interpolation
+const ease = (k) => k * k * (3 - 2 * k);
+
+/**
+ * Create a focus/follow helper for a camera driven by OrbitControls.
+ * @param {{camera:THREE.PerspectiveCamera, controls:import('three/examples/jsm/controls/OrbitControls.js').OrbitControls}} options
+ * @returns {{target:THREE.Object3D|null, focus:function(THREE.Object3D, THREE.Vector3=):void, follow:function(THREE.Object3D|null):void,
+ *   flyTo:function(THREE.Vector3, THREE.Vector3):void, release:function():void, update:function(number):void,
+ *   isFlying:function():boolean, rescale:function(number):void}}
+ */
+export const createCameraFocus = ({camera, controls}) => {
+    // remember the overview framing and limits so release() can restore them
+    const home = {
+        position: camera.position.clone(),
+        target: controls.target.clone(),
+        enableZoom: controls.enableZoom,
+        minDistance: controls.minDistance,
+        maxDistance: controls.maxDistance,
+        near: camera.near
+    };
+
+    const bodyPos = new THREE.Vector3();
+    const lastBodyPos = new THREE.Vector3();
+    const fly = {
+        active: false,
+        elapsed: 0,
+        fromPosition: new THREE.Vector3(),
+        fromTarget: new THREE.Vector3(),
+        offset: new THREE.Vector3(), // end camera position relative to the body
+        toPosition: null, // fixed end points when flying home
+        toTarget: null,
+        limits: null // controls limits applied once the flight lands
+    };
+
+    const worldRadius = (object) => object.getWorldScale(new THREE.Vector3()).x;
+
+    // zoom limits relative to a body, not the whole system
+    const limitsFor = (radius) => ({
+        enableZoom: true,
+        minDistance: radius * 1.3,
+        maxDistance: Math.max(radius * 60, 5)
+    });
+    const homeLimits = () => ({
+        enableZoom: home.enableZoom,
+        minDistance: home.minDistance,
+        maxDistance: home.maxDistance
+    });
+
+    const startFly = (offset, limits) => {
+        fly.active = true;
+        fly.elapsed = 0;
+        fly.fromPosition.copy(camera.position);
+        fly.fromTarget.copy(controls.target);
+        if (offset) fly.offset.copy(offset);
+        fly.limits = limits;
+        controls.enabled = false; // no user input while flying
+        // OrbitControls clamps the distance in update(), so open the limits for the flight
+        controls.minDistance = 0;
+        controls.maxDistance = Infinity;
+    };
+
+    const land = () => {
+        fly.active = false;
+        controls.enabled = true;
+        Object.assign(controls, fly.limits);
+    };
+
+    const state = {
+        target: null,
+
+        // fly to a body and follow it afterwards; `offset` is the camera position relative to the
+        // body on arrival (default: a few radii out along the current viewing direction)
+        focus: (object, offset) => {
+            if (!object) {
+                state.release();
+                return;
+            }
+            state.target = object;
+            const radius = worldRadius(object);
+            object.getWorldPosition(bodyPos);
+            lastBodyPos.copy(bodyPos);
+
+            // approach along the current viewing direction, a few radii out
+            const dir = offset ? offset.clone() : camera.position.clone().sub(bodyPos);
+            if (dir.lengthSq() < 1e-8) dir.set(0, 0.3, 1);
+            if (!offset) dir.normalize().multiplyScalar(Math.max(radius * 4, 0.05));
+            fly.toPosition = null;
+            fly.toTarget = null;
+            startFly(dir, limitsFor(radius));
+            camera.near = Math.min(home.near, radius * 0.2);
+            camera.updateProjectionMatrix();
+        },
+
+        // follow a body (or nothing) from wherever the camera is, with that body's limits and no
+        // flight; the caller places the camera and controls target
+        follow: (object) => {
+            state.target = object || null;
+            fly.active = false;
+            controls.enabled = true;
+            const radius = object ? worldRadius(object) : 0;
+            Object.assign(controls, object ? limitsFor(radius) : homeLimits());
+            if (object) object.getWorldPosition(lastBodyPos);
+            camera.near = object ? Math.min(home.near, radius * 0.2) : home.near;
+            camera.updateProjectionMatrix();
+        },
+
+        // stop following and fly to a fixed framing, with the overview limits once there
+        flyTo: (position, target) => {
+            state.target = null;
+            fly.toPosition = position.clone();
+            fly.toTarget = target.clone();
+            startFly(null, homeLimits());
+            camera.near = home.near;
+            camera.updateProjectionMatrix();
+        },
+
+        // stop following and fly back to the overview framing
+        release: () => {
+            state.target = null;
+            fly.toPosition = home.position;
+            fly.toTarget = home.target;
+            startFly(null, homeLimits());
+            camera.near = home.near;
+            camera.updateProjectionMatrix();
+        },
+
+        isFlying: () => fly.active,
+
+        // scale the overview framing and its limits about the origin; the camera moves along
+        // while it is in the overview (a flight home already aims at the scaled framing)
+        rescale: (factor) => {
+            home.position.multiplyScalar(factor);
+            home.target.multiplyScalar(factor);
+            home.minDistance *= factor;
+            home.maxDistance *= factor;
+            if (state.target) return;
+            if (fly.active) {
+                Object.assign(fly.limits, {minDistance: home.minDistance, maxDistance: home.maxDistance});
+                return;
+            }
+            camera.position.multiplyScalar(factor);
+            controls.target.multiplyScalar(factor);
+            controls.minDistance = home.minDistance;
+            controls.maxDistance = home.maxDistance;
+        },
+
+        // call once per frame before controls.update()
+        update: (dt) => {
+            if (state.target) state.target.getWorldPosition(bodyPos);
+
+            if (fly.active) {
+                fly.elapsed += dt;
+                const k = ease(Math.min(fly.elapsed / FLY_DURATION, 1));
+                const toTarget = fly.toTarget || bodyPos;
+                const toPosition = fly.toPosition || bodyPos.clone().add(fly.offset);
+                controls.target.lerpVectors(fly.fromTarget, toTarget, k);
+                camera.position.lerpVectors(fly.fromPosition, toPosition, k);
+                if (k >= 1) land();
+            } else if (state.target) {
+                // follow: carry camera and target along with the body's motion
+                const delta = bodyPos.clone().sub(lastBodyPos);
+                camera.position.add(delta);
+                controls.target.add(delta);
+            }
+
+            lastBodyPos.copy(bodyPos);
+        }
+    };
+
+    return state;
+};
@@ -0,0 +1,158 @@
+/*
+ Capture
+ -------
+ Exports of what the renderer draws:
+ - renderTiled(): a still image of any size. The camera's view offset splits the full frame into
+   tiles that fit the drawing buffer; each tile is rendered with a margin (so bloom near its
+   edges still sees its neighbours' bright pixels) and copied, without the margin, onto one 2D
+   canvas. Labels are troika text meshes in the scene, so they are in the image at the same
+   proportions as on screen.
+ - recordWebM(): a WebM of a fixed number of frames. The caller steps the simulation by exactly
+   1/fps for every frame, and with WebCodecs each frame is stamped frame / fps, so the video
+   plays smoothly however long a frame took to render. Without WebCodecs it falls back to a
+   MediaRecorder paced in real time (smooth only when the machine keeps up).
+ canvasToBlob()/downloadBlob() turn the results into files.
+*/
+import {createWebMMuxer} from './webm.js';
+
+const KEY_FRAME_INTERVAL = 2; // seconds between key frames (one WebM cluster each)
+const CODECS = ['vp09.00.10.08', 'vp8']; // tried in order
+
+/**
+ * Render a `width` × `height` image in tiles.
+ * @param {{camera:THREE.PerspectiveCamera, width:number, height:number, tileSize?:number, padding?:number,
+ *   source:HTMLCanvasElement, setSize:function(number, number):void, render:function():void}} options
+ *   source: the renderer's canvas; setSize: resize its drawing buffer (pixel ratio 1); render: draw one frame.
+ *   The camera's aspect must already be width / height; its view offset is cleared afterwards.
+ * @returns {HTMLCanvasElement} The assembled image.
+ */
+export const renderTiled = ({camera, width, height, tileSize = 1024, padding = 64, source, setSize, render}) => {
+    const output = document.createElement('canvas');
+    output.width = width;
+    output.height = height;
+    const ctx = output.getContext('2d');
+    const tileWidth = Math.min(tileSize, width);
+    const tileHeight = Math.min(tileSize, height);
+    setSize(tileWidth + padding * 2, tileHeight + padding * 2);
+    try {
+        for (let y = 0; y < height; y += tileHeight) {
+            for (let x = 0; x < width; x += tileWidth) {
+                camera.setViewOffset(width, height, x - padding, y - padding, tileWidth + padding * 2, tileHeight + padding * 2);
+                render();
+                // copy right away: the drawing buffer is only valid until the browser composites
+                const w = Math.min(tileWidth, width - x);
+                const h = Math.min(tileHeight, height - y);
+                ctx.drawImage(source, padding, padding, w, h, x, y, w, h);
+            }
+        }
+    } finally {
+        camera.clearViewOffset();
+    }
+    return output;
+};
+
+/**
+ * @param {HTMLCanvasElement} canvas
+ * @param {string} [type]
+ * @returns {Promise<Blob>}
+ */
+export const canvasToBlob = (canvas, type = 'image/png') => new Promise((resolve, reject) => {
+    canvas.toBlob((blob) => (blob ? resolve(blob) : reject(new Error('Could not encode the image'))), type);
+});
+
+/**
+ * Save a blob as a file through a temporary link.
+ * @param {Blob} blob
+ * @param {string} filename
+ */
+export const downloadBlob = (blob, filename) => {
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(link.href), 0);
+};
+
+// first codec the browser can encode at this size
+const pickCodec = async (config) => {
+    for (const codec of CODECS) {
+        const {supported} = await VideoEncoder.isConfigSupported({...config, codec});
+        if (supported) return codec;
+    }
+    throw new Error('No WebM video codec available');
+};
+
+/**
+ * Record `frames` frames of a canvas into a WebM.
+ * @param {{canvas:HTMLCanvasElement, frames:number, fps:number, bitrate?:number,
+ *   step:function(number):void, onProgress?:function(number):void}} options
+ *   step(i): advance by 1/fps and draw frame i synchronously (the canvas is read right after).
+ *   onProgress: 0..1 after each frame. The canvas size must be even and stay fixed.
+ * @returns {Promise<Blob>}
+ */
+export const recordWebM = async ({canvas, frames, fps, bitrate = 8e6, step, onProgress}) => {
+    const {width, height} = canvas;
+    if (typeof VideoEncoder === 'undefined') return recordRealTime({canvas, frames, fps, bitrate, step, onProgress});
+
+    const config = {width, height, bitrate, framerate: fps};
+    const codec = await pickCodec(config);
+    const muxer = createWebMMuxer({width, height, codec, fps});
+    let failure = null;
+    const encoder = new VideoEncoder({
+        output: (chunk) => muxer.addChunk(chunk),
+        error: (err) => (failure = err)
+    });
+    encoder.configure({...config, codec});
+    try {
+        for (let i = 0; i < frames && !failure; i++) {
+            step(i);
+            const frame = new VideoFrame(canvas, {timestamp: Math.round((i * 1e6) / fps), duration: Math.round(1e6 / fps)});
+            encoder.encode(frame, {keyFrame: i % Math.round(fps * KEY_FRAME_INTERVAL) === 0});
+            frame.close();
+            if (onProgress) onProgress((i + 1) / frames);
+            // let the encoder drain (and the page breathe) instead of queueing every frame
+            while (encoder.encodeQueueSize > 2) await new Promise((resolve) => setTimeout(resolve, 0));
+        }
+        if (!failure) await encoder.flush();
+    } finally {
+        if (encoder.state !== 'closed') encoder.close();
+    }
+    if (failure) throw failure;
+    return muxer.finish();
+};
+
+// MediaRecorder fallback: frames are pushed by hand but timestamped by the wall clock
+const recordRealTime = ({canvas, frames, fps, bitrate, step, onProgress}) => new Promise((resolve, reject) => {
+    const stream = canvas.captureStream(0);
+    const [track] = stream.getVideoTracks();
+    const recorder = new MediaRecorder(stream, {mimeType: 'video/webm', videoBitsPerSecond: bitrate});
+    const parts = [];
+    recorder.ondataavailable = (ev) => parts.push(ev.data);
+    recorder.onstop = () => {
+        track.stop();
+        resolve(new Blob(parts, {type: 'video/webm'}));
+    };
+    recorder.onerror = (ev) => reject(ev.error);
+    recorder.start();
+
+    const started = performance.now();
+    const next = (i) => {
+        if (i >= frames) {
+            recorder.stop();
+            return;
+        }
+        try {
+            step(i);
+        } catch (err) {
+            recorder.onstop = () => track.stop();
+            recorder.stop();
+            reject(err);
+            return;
+        }
+        track.requestFrame();
+        if (onProgress) onProgress((i + 1) / frames);
+        const wait = started + ((i + 1) * 1000) / fps - performance.now();
+        setTimeout(() => next(i + 1), Math.max(wait, 0));
+    };
+    next(0);
+});
@@ -0,0 +1,240 @@
+/*
+ Comets
+ ------
+ Comets on highly eccentric Kepler orbits, with a coma and two tails:
+ - Placement: planets scale their semi-major axis, which would drop a comet's perihelion deep
+   inside the artistic sun. A comet is placed at its real heliocentric position instead, with the
+   distance from the sun mapped through the scale layout's `radial` function (scaleModes.js), so
+   it crosses the planets' orbits where it really does in every scale mode.
+ - Activity: 0 beyond `activeDistance` (AU) and 1 at perihelion. The coma and the tails grow
+   and brighten with it, so a comet is a bare nucleus for most of its orbit (all of it when the
+   perihelion lies beyond `activeDistance`).
+ - Tails: camera-facing ribbons built in the vertex shader around an axis that points away from
+   the sun. The ion tail is narrow, blue and straight (carried by the solar wind). The dust tail is
+   wider and yellowish, and it bends back along the orbit because the dust lags behind the nucleus.
+   Tail lengths are in AU and go through the same radial mapping as the nucleus.
+ Tails and coma are additive and bright enough for the bloom pass near perihelion.
+*/
+import * as THREE from 'three';
+import {orbitalPosition, orbitEllipsePoints, spinAngleAt} from './kepler.js';
+
+const ORBIT_SEGMENTS = 512; // sampled evenly in eccentric anomaly: dense around perihelion
+const TAIL_SEGMENTS = 24; // rows along a tail, so the dust tail can bend
+
+const tailVertex = /* glsl */ `
+uniform vec3 uAxis;     // unit vector away from the sun
+uniform vec3 uBend;     // world offset of the tip, growing with the square of the distance along
+uniform float uLength;
+uniform float uWidth;
+varying vec2 vUv;
+void main() {
+    vUv = uv;
+    float along = position.y; // 0 at the nucleus, 1 at the tip
+    vec3 origin = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    vec3 center = origin + uAxis * along * uLength + uBend * along * along;
+    // ribbon turned about its axis toward the camera
+    vec3 side = cross(uAxis, cameraPosition - center);
+    side = length(side) > 1e-6 ? normalize(side) : vec3(1.0, 0.0, 0.0);
+    float width = uWidth * mix(0.15, 1.0, sqrt(along)); // fans out from the coma
+    gl_Position = projectionMatrix * viewMatrix * vec4(center + side * position.x * width, 1.0);
+}
+`;
+
+const comaVertex = /* glsl */ `
+uniform float uSize;
+varying vec2 vUv;
+void main() {
+    vUv = uv;
+    vec3 origin = (modelMatrix * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    vec3 right = vec3(viewMatrix[0][0], viewMatrix[1][0], viewMatrix[2][0]);
+    vec3 up = vec3(viewMatrix[0][1], viewMatrix[1][1], viewMatrix[2][1]);
+    gl_Position = projectionMatrix * viewMatrix * vec4(origin + (right * position.x + up * position.y) * uSize, 1.0);
+}
+`;
+
+const tailFragment = /* glsl */ `
+uniform vec3 uColor;
+uniform float uIntensity;
+varying vec2 vUv;
+void main() {
+    float across = 1.0 - abs(vUv.x * 2.0 - 1.0);
+    float strength = smoothstep(0.0, 1.0, across) * pow(1.0 - vUv.y, 1.5) * uIntensity;
+    gl_FragColor = vec4(uColor * strength, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+const comaFragment = /* glsl */ `
+uniform vec3 uColor;
+uniform float uIntensity;
+varying vec2 vUv;
+void main() {
+    float r = length(vUv - 0.5) * 2.0;
+    float strength = exp(-r * r * 6.0) * (1.0 - smoothstep(0.8, 1.0, r)) * uIntensity;
+    gl_FragColor = vec4(uColor * strength, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+// Additive shader quad; placement happens in the vertex shader, so culling would use a stale box
+const glowMesh = (name, geometry, vertexShader, fragmentShader, uniforms) => {
+    const mesh = new THREE.Mesh(geometry, new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        uniforms,
+        transparent: true,
+        blending: THREE.AdditiveBlending,
+        depthWrite: false,
+        side: THREE.DoubleSide
+    }));
+    mesh.name = name;
+    mesh.frustumCulled = false;
+    return mesh;
+};
+
+/**
+ * Scene position of a comet: its real heliocentric position with the distance from the sun mapped
+ * through a scale layout.
+ * @param {object} elements - Keplerian elements with `a` in AU.
+ * @param {number} jd - Julian date.
+ * @param {function(number):number} radial - AU -> scene units (scale layout `radial`).
+ * @param {THREE.Vector3} [target]
+ * @returns {THREE.Vector3}
+ */
+export const cometPosition = (elements, jd, radial, target = new THREE.Vector3()) => {
+    orbitalPosition(elements, jd, elements.a, target); // AU
+    const r = target.length();
+    return r > 0 ? target.multiplyScalar(radial(r) / r) : target;
+};
+
+const _au = new THREE.Vector3(); // scratch: heliocentric position in AU
+const _ahead = new THREE.Vector3(); // scratch: position one day later, for the direction of motion
+const _motion = new THREE.Vector3();
+
+/**
+ * Build a comet: nucleus, coma, ion and dust tails and its orbit line. Add `nucleus`, `coma`,
+ * `tails` and `orbitLine` to the scene (world frame), then call update() for each date.
+ * @param {{name:string, radius:number, elements:object, rotationPeriod?:number,
+ *   tail?:{ionColor?:string|number, dustColor?:string|number, ionLength?:number, dustLength?:number, activeDistance?:number}}} data
+ *   radius: nucleus radius in scene units (rewritten by scale modes); tail lengths and activeDistance in AU.
+ * @param {{material?:THREE.Material, segments?:number}} [options] - Nucleus material and sphere detail.
+ * @returns {{data:object, nucleus:THREE.Mesh, coma:THREE.Mesh, tails:THREE.Mesh[], orbitLine:THREE.LineLoop,
+ *   activity:number, update:function(number, function(number):number):void,
+ *   setRadial:function(function(number):number):void}}
+ */
+export const createComet = (data, {material, segments = 12} = {}) => {
+    const {
+        ionColor = 0x7fb8ff,
+        dustColor = 0xffe2a8,
+        ionLength = 0.5,
+        dustLength = 0.25,
+        activeDistance = 4
+    } = data.tail || {};
+    const {elements} = data;
+    const perihelion = elements.a * (1 - (elements.e || 0));
+
+    // an irregular nucleus: a squashed sphere reads as a rock rather than a tiny planet
+    const geometry = new THREE.SphereGeometry(1, segments, segments);
+    geometry.scale(1, 0.75, 0.65);
+    const nucleus = new THREE.Mesh(geometry, material ?? new THREE.MeshStandardMaterial({color: 0x4a4540, roughness: 1}));
+    nucleus.name = data.name;
+    nucleus.scale.setScalar(data.radius);
+    nucleus.userData.kind = 'comet'; // used by selection/info panel
+    nucleus.userData.body = data;
+
+    const tailGeometry = new THREE.PlaneGeometry(1, 1, 1, TAIL_SEGMENTS).translate(0, 0.5, 0); // y: 0 (nucleus) .. 1 (tip)
+    const tailUniforms = (color) => ({
+        uAxis: {value: new THREE.Vector3(1, 0, 0)},
+        uBend: {value: new THREE.Vector3()},
+        uLength: {value: 0},
+        uWidth: {value: 0},
+        uColor: {value: new THREE.Color(color)},
+        uIntensity: {value: 0}
+    });
+    const ionTail = glowMesh(`${data.name}-ion-tail`, tailGeometry, tailVertex, tailFragment, tailUniforms(ionColor));
+    const dustTail = glowMesh(`${data.name}-dust-tail`, tailGeometry, tailVertex, tailFragment, tailUniforms(dustColor));
+    const coma = glowMesh(`${data.name}-coma`, new THREE.PlaneGeometry(2, 2), comaVertex, comaFragment, {
+        uSize: {value: 0},
+        uColor: {value: new THREE.Color(ionColor).lerp(new THREE.Color(0xffffff), 0.6)},
+        uIntensity: {value: 0}
+    });
+
+    // orbit: sampled once in AU, mapped to the scene by setRadial()
+    const orbitPoints = orbitEllipsePoints(elements, elements.a, ORBIT_SEGMENTS);
+    const orbitGeometry = new THREE.BufferGeometry().setFromPoints(orbitPoints);
+    const orbitLine = new THREE.LineLoop(orbitGeometry, new THREE.LineBasicMaterial({color: 0xffffff, transparent: true, opacity: 0.25}));
+    orbitLine.name = `${data.name}-orbit-line`;
+
+    const comet = {
+        data,
+        nucleus,
+        coma,
+        tails: [ionTail, dustTail],
+        orbitLine,
+        activity: 0,
+
+        /**
+         * Place the comet for a date and size its coma and tails for its distance from the sun.
+         * @param {number} jd - Julian date.
+         * @param {function(number):number} radial - AU -> scene units (scale layout `radial`).
+         */
+        update: (jd, radial) => {
+            orbitalPosition(elements, jd, elements.a, _au);
+            const r = _au.length();
+            nucleus.position.copy(_au).multiplyScalar(radial(r) / r);
+            nucleus.rotation.y = spinAngleAt(data.rotationPeriod, jd);
+
+            // a perihelion beyond activeDistance (e.g. the 4 AU default) never gets close enough
+            const k = activeDistance > perihelion ? THREE.MathUtils.clamp((activeDistance - r) / (activeDistance - perihelion), 0, 1) : 0;
+            const activity = k * k; // brightens steeply toward perihelion
+            comet.activity = activity;
+            [coma, ionTail, dustTail].forEach((mesh) => {
+                mesh.visible = activity > 0;
+                mesh.position.copy(nucleus.position);
+            });
+            if (!activity) return;
+
+            // tail lengths in AU, measured outward from the comet's own distance
+            const ionScene = radial(r + ionLength * activity) - radial(r);
+            const dustScene = radial(r + dustLength * activity) - radial(r);
+
+            // the dust tail trails the motion: bend it against the velocity, across the axis
+            _motion.subVectors(orbitalPosition(elements, jd + 1, elements.a, _ahead), _au);
+            const axis = _au.normalize(); // away from the sun
+            _motion.addScaledVector(axis, -_motion.dot(axis)).normalize();
+
+            const ion = ionTail.material.uniforms;
+            ion.uAxis.value.copy(axis);
+            ion.uLength.value = ionScene;
+            ion.uWidth.value = ionScene * 0.06 + data.radius * 2;
+            ion.uIntensity.value = 1.4 * activity;
+
+            const dust = dustTail.material.uniforms;
+            dust.uAxis.value.copy(axis);
+            dust.uBend.value.copy(_motion).multiplyScalar(-dustScene * 0.4);
+            dust.uLength.value = dustScene;
+            dust.uWidth.value = dustScene * 0.3 + data.radius * 2;
+            dust.uIntensity.value = 1.1 * activity;
+
+            coma.material.uniforms.uSize.value = data.radius * 3 + ionScene * 0.04;
+            coma.material.uniforms.uIntensity.value = 1.5 * activity;
+        },
+
+        /**
+         * Reshape the orbit line for a scale layout.
+         * @param {function(number):number} radial - AU -> scene units.
+         */
+        setRadial: (radial) => {
+            const position = orbitGeometry.attributes.position;
+            orbitPoints.forEach((p, i) => {
+                const r = p.length();
+                position.setXYZ(i, p.x * radial(r) / r, p.y * radial(r) / r, p.z * radial(r) / r);
+            });
+            position.needsUpdate = true;
+            orbitGeometry.computeBoundingSphere();
+        }
+    };
+    return comet;
+};
@@ -0,0 +1,264 @@
+/*
+ Command palette
+ ---------------
+ A keyboard-driven search box over commands (bodies to fly to, actions, toggles), opened with
+ Ctrl+K / Cmd+K by SolarSystem.js. Typing filters the list with a fuzzy subsequence match:
+ "jup" and "jptr" both find "Jupiter", word starts and consecutive letters rank higher, and a
+ command's keywords can be typed in front of its title ("toggle orbits").
+ Arrow keys move the highlight, Enter runs it, Escape closes. A command with a `prompt` asks
+ for a value first (e.g. the time scale) and receives it as its argument. If run() returns an
+ error message, the palette stays in the prompt and shows it under the value.
+ The caller passes a fresh command list to every open(), so labels can reflect current state
+ ("Hide orbits" / "Show orbits"). Styling lives in style.css (.command-palette).
+*/
+
+const MAX_RESULTS = 50;
+
+/**
+ * Fuzzy subsequence match of a query against a text (case-insensitive).
+ * @param {string} query
+ * @param {string} text
+ * @returns {{score:number, indices:number[]}|null} null when not every query character appears
+ *   in order; indices are the matched positions in `text`.
+ */
+export const fuzzyMatch = (query, text) => {
+    const q = query.toLowerCase().replace(/\s+/g, '');
+    const t = text.toLowerCase();
+    const indices = [];
+    let score = 0;
+    let from = 0;
+    for (const char of q) {
+        const at = t.indexOf(char, from);
+        if (at < 0) return null;
+        const previous = indices[indices.length - 1];
+        if (at === 0) score += 10; // first letter
+        else if (/[\s\-(:/]/.test(t[at - 1])) score += 8; // start of a word
+        if (previous !== undefined && at === previous + 1) score += 5; // consecutive
+        score -= Math.min(at - from, 5); // skipped letters, capped so long names are not buried
+        indices.push(at);
+        from = at + 1;
+    }
+    return {score, indices};
+};
+
+/**
+ * Create the (initially closed) palette.
+ * @param {{container?:HTMLElement, placeholder?:string}} [options]
+ * @returns {{element:HTMLElement, isOpen:function():boolean, open:function(object[]):void,
+ *   close:function():void, dispose:function():void}}
+ *   Commands: {title, detail?, shortcut?, keywords?, prompt?:{placeholder?, value?}, run(value?)};
+ *   a prompt's run() may return an error message (string) to keep the prompt open.
+ */
+export const createCommandPalette = (options = {}) => {
+    const {container = document.body, placeholder = 'Search bodies and actions…'} = options;
+
+    const element = document.createElement('div');
+    element.className = 'command-palette';
+    element.hidden = true;
+    element.setAttribute('role', 'dialog');
+    element.setAttribute('aria-label', 'Command palette');
+
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'command-palette__input';
+    input.setAttribute('aria-label', 'Search');
+    input.spellcheck = false;
+    const list = document.createElement('ul');
+    list.className = 'command-palette__list';
+    list.setAttribute('role', 'listbox');
+    element.append(input, list);
+    container.appendChild(element);
+
+    let commands = [];
+    let results = []; // [{command, indices}]
+    let active = 0;
+    let prompting = null; // command waiting for its value
+    let promptError = ''; // why the last value was rejected
+
+    // title with the matched letters highlighted (text nodes only: titles come from body names)
+    const highlight = (title, indices) => {
+        const fragment = document.createDocumentFragment();
+        const marked = new Set(indices);
+        let run = '';
+        let runMarked = false;
+        const flush = () => {
+            if (!run) return;
+            if (runMarked) {
+                const mark = document.createElement('mark');
+                mark.textContent = run;
+                fragment.appendChild(mark);
+            } else {
+                fragment.appendChild(document.createTextNode(run));
+            }
+            run = '';
+        };
+        [...title].forEach((char, i) => {
+            if (marked.has(i) !== runMarked) {
+                flush();
+                runMarked = marked.has(i);
+            }
+            run += char;
+        });
+        flush();
+        return fragment;
+    };
+
+    const render = () => {
+        list.replaceChildren();
+        if (prompting) {
+            const item = document.createElement('li');
+            item.className = 'command-palette__item command-palette__item--active';
+            item.textContent = `${prompting.title}: press Enter to apply, Escape to go back`;
+            list.appendChild(item);
+            if (promptError) {
+                const error = document.createElement('li');
+                error.className = 'command-palette__item command-palette__error';
+                error.setAttribute('role', 'alert');
+                error.textContent = promptError;
+                list.appendChild(error);
+            }
+            return;
+        }
+        results.forEach(({command, indices}, i) => {
+            const item = document.createElement('li');
+            item.className = 'command-palette__item';
+            item.setAttribute('role', 'option');
+            if (i === active) {
+                item.classList.add('command-palette__item--active');
+                item.setAttribute('aria-selected', 'true');
+            }
+            const title = document.createElement('span');
+            title.appendChild(highlight(command.title, indices));
+            item.appendChild(title);
+            if (command.detail || command.shortcut) {
+                const hint = document.createElement('span');
+                hint.className = 'command-palette__hint';
+                if (command.detail) hint.appendChild(document.createTextNode(command.detail));
+                if (command.shortcut) {
+                    const kbd = document.createElement('kbd');
+                    kbd.textContent = command.shortcut;
+                    hint.appendChild(kbd);
+                }
+                item.appendChild(hint);
+            }
+            item.addEventListener('mousedown', (ev) => {
+                ev.preventDefault(); // keep the input focused
+                choose(command);
+            });
+            list.appendChild(item);
+        });
+        const current = list.children[active];
+        if (current) current.scrollIntoView({block: 'nearest'});
+    };
+
+    const filter = () => {
+        const query = input.value.trim();
+        results = commands
+            .map((command, order) => {
+                if (!query) return {command, indices: [], score: 0, order};
+                // match the title, else the keywords in front of it ("toggle" + "Orbits");
+                // indices are shifted back onto the title, keyword letters are not highlighted
+                let match = fuzzyMatch(query, command.title);
+                if (!match && command.keywords) {
+                    match = fuzzyMatch(query, `${command.keywords} ${command.title}`);
+                    const shift = command.keywords.length + 1;
+                    if (match) match.indices = match.indices.map((at) => at - shift).filter((at) => at >= 0);
+                }
+                return match && {command, indices: match.indices, score: match.score, order};
+            })
+            .filter(Boolean)
+            .sort((a, b) => b.score - a.score || a.order - b.order) // stable for equal scores
+            .slice(0, MAX_RESULTS);
+        active = 0;
+        render();
+    };
+
+    const choose = (command) => {
+        if (command.prompt) {
+            prompting = command;
+            promptError = '';
+            input.value = command.prompt.value ?? '';
+            input.placeholder = command.prompt.placeholder ?? command.title;
+            input.select();
+            render();
+            return;
+        }
+        palette.close();
+        command.run();
+    };
+
+    const onKeyDown = (ev) => {
+        if (ev.key === 'Escape') {
+            ev.preventDefault();
+            if (prompting) {
+                prompting = null;
+                promptError = '';
+                input.value = '';
+                input.placeholder = placeholder;
+                filter();
+            } else {
+                palette.close();
+            }
+        } else if (ev.key === 'Enter') {
+            ev.preventDefault();
+            if (prompting) {
+                const error = prompting.run(input.value);
+                if (typeof error === 'string' && error) {
+                    promptError = error;
+                    input.select();
+                    render();
+                } else {
+                    palette.close();
+                }
+            } else if (results[active]) {
+                choose(results[active].command);
+            }
+        } else if ((ev.key === 'ArrowDown' || ev.key === 'ArrowUp') && !prompting && results.length) {
+            ev.preventDefault();
+            active = (active + (ev.key === 'ArrowDown' ? 1 : -1) + results.length) % results.length;
+            render();
+        }
+        ev.stopPropagation(); // typing here must not trigger the view's shortcuts
+    };
+    const onInput = () => {
+        if (!prompting) {
+            filter();
+        } else if (promptError) {
+            promptError = ''; // editing the value dismisses the message
+            render();
+        }
+    };
+    const onBlur = () => palette.close();
+    input.addEventListener('keydown', onKeyDown);
+    input.addEventListener('input', onInput);
+    input.addEventListener('blur', onBlur);
+
+    const palette = {
+        element,
+        isOpen: () => !element.hidden,
+        open: (list) => {
+            commands = list;
+            prompting = null;
+            promptError = '';
+            input.value = '';
+            input.placeholder = placeholder;
+            element.hidden = false;
+            filter();
+            input.focus();
+        },
+        close: () => {
+            if (element.hidden) return;
+            element.hidden = true;
+            prompting = null;
+            promptError = '';
+            if (document.activeElement === input) input.blur();
+        },
+        dispose: () => {
+            input.removeEventListener('keydown', onKeyDown);
+            input.removeEventListener('input', onInput);
+            input.removeEventListener('blur', onBlur);
+            element.remove();
+        }
+    };
+    return palette;
+};
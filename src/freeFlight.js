@@ -0,0 +1,189 @@
+/*
+ Free flight
+ -----------
+ A spaceship camera that replaces OrbitControls while enabled:
+ - W/S thrust forward/back, A/D strafe, R/F up/down, Q/E roll, Shift boosts; dragging with the
+   mouse turns the ship (yaw/pitch about its own axes, so loops and rolls work).
+ - The ship has a velocity: thrust accelerates it, it coasts and slowly bleeds speed when no
+   key is held. Top speed is `speed` (scene units/s) and shrinks close to a body, so landing
+   near a moon is as easy as crossing the system.
+ - Collision avoidance: bodies are spheres the ship cannot enter; it is pushed back onto a
+   safety shell around each one and loses the velocity pointing into it. The near plane shrinks
+   with the distance to the nearest surface, so a small moon up close is not clipped.
+ Keys are read in the capture phase and consumed, so the view's single-key shortcuts (A, D, E,
+ F, R...) do not fire while flying. A small HUD shows the controls and the current speed.
+*/
+import * as THREE from 'three';
+
+const KEYS = {
+    KeyW: ['z', -1], KeyS: ['z', 1],
+    KeyA: ['x', -1], KeyD: ['x', 1],
+    KeyR: ['y', 1], KeyF: ['y', -1],
+    KeyQ: ['roll', 1], KeyE: ['roll', -1]
+};
+const BOOST = 6; // speed multiplier while Shift is held
+const ACCELERATION = 2; // reach top speed in about half a second
+const COAST_DRAG = 0.8; // 1/s, velocity decay with no thrust
+const ROLL_SPEED = 1.2; // rad/s
+const LOOK_SPEED = 0.003; // rad per dragged pixel
+const SAFETY = 1.15; // keep-out shell, in body radii
+const SLOWDOWN = 1.5; // top speed is at most this many times the distance to the nearest surface
+const NEAR_FRACTION = 0.5; // near plane as a fraction of the distance to the nearest surface
+
+const _thrust = new THREE.Vector3();
+const _away = new THREE.Vector3();
+
+/**
+ * Create the (initially disabled) free-flight controller for a camera.
+ * @param {{camera:THREE.PerspectiveCamera, domElement:HTMLElement, container?:HTMLElement}} options
+ *   domElement: receives the mouse drags (the canvas); container: hosts the HUD.
+ * @returns {{enabled:boolean, velocity:THREE.Vector3, enable:function():void, disable:function():void,
+ *   update:function(number, {center:THREE.Vector3, radius:number}[], number):void, dispose:function():void}}
+ */
+export const createFreeFlight = ({camera, domElement, container = document.body}) => {
+    const held = new Set(); // key codes currently down
+    let boost = false;
+    const look = {x: 0, y: 0}; // pixels dragged since the last update
+    let dragging = null; // pointer id
+    let baseNear = camera.near; // near plane to restore on disable()
+
+    const hud = document.createElement('div');
+    hud.className = 'flight-hud';
+    hud.hidden = true;
+    const speedReadout = document.createElement('strong');
+    const help = document.createElement('span');
+    help.textContent = 'WASD move · R/F up/down · Q/E roll · Shift boost · drag to look · V exit';
+    hud.append(speedReadout, help);
+    container.appendChild(hud);
+
+    const typing = (el) => el && (el.isContentEditable || /^(INPUT|TEXTAREA|SELECT)$/.test(el.tagName));
+
+    const onKeyDown = (ev) => {
+        if (!flight.enabled || ev.ctrlKey || ev.metaKey || ev.altKey || typing(ev.target)) return;
+        if (ev.key === 'Shift') boost = true;
+        if (!KEYS[ev.code]) return;
+        held.add(ev.code);
+        ev.preventDefault(); // consumed: no view shortcut for this key
+    };
+    const onKeyUp = (ev) => {
+        if (ev.key === 'Shift') boost = false;
+        held.delete(ev.code);
+    };
+    const onBlur = () => {
+        held.clear(); // keys released while the window was in the background never send keyup
+        boost = false;
+    };
+    const onPointerDown = (ev) => {
+        if (!flight.enabled || ev.button !== 0) return;
+        dragging = ev.pointerId;
+    };
+    const onPointerMove = (ev) => {
+        if (ev.pointerId !== dragging) return;
+        look.x += ev.movementX;
+        look.y += ev.movementY;
+    };
+    const onPointerUp = (ev) => {
+        if (ev.pointerId === dragging) dragging = null;
+    };
+    window.addEventListener('keydown', onKeyDown, true); // before the view's own shortcuts
+    window.addEventListener('keyup', onKeyUp, true);
+    window.addEventListener('blur', onBlur);
+    domElement.addEventListener('pointerdown', onPointerDown);
+    window.addEventListener('pointermove', onPointerMove);
+    window.addEventListener('pointerup', onPointerUp);
+
+    const flight = {
+        enabled: false,
+        velocity: new THREE.Vector3(), // world units per second
+
+        enable: () => {
+            flight.enabled = true;
+            flight.velocity.set(0, 0, 0);
+            baseNear = camera.near;
+            hud.hidden = false;
+        },
+
+        disable: () => {
+            flight.enabled = false;
+            flight.velocity.set(0, 0, 0);
+            held.clear();
+            dragging = null;
+            hud.hidden = true;
+            camera.near = baseNear;
+            camera.updateProjectionMatrix();
+        },
+
+        /**
+         * Steer, accelerate, move and keep out of the bodies.
+         * @param {number} dt - Seconds.
+         * @param {{center:THREE.Vector3, radius:number}[]} obstacles - Spheres in world units.
+         * @param {number} speed - Top cruise speed (world units/s) away from any body.
+         */
+        update: (dt, obstacles, speed) => {
+            if (!flight.enabled) return;
+
+            // turn about the ship's own axes
+            camera.rotateY(-look.x * LOOK_SPEED);
+            camera.rotateX(-look.y * LOOK_SPEED);
+            look.x = look.y = 0;
+            let roll = 0;
+            _thrust.set(0, 0, 0);
+            held.forEach((code) => {
+                const [axis, sign] = KEYS[code];
+                if (axis === 'roll') roll += sign;
+                else _thrust[axis] += sign;
+            });
+            if (roll) camera.rotateZ(roll * ROLL_SPEED * dt);
+
+            // top speed: cruise speed, less near a surface, times the boost
+            let clearance = Infinity;
+            obstacles.forEach(({center, radius}) => {
+                clearance = Math.min(clearance, camera.position.distanceTo(center) - radius);
+            });
+            const limit = Math.max(Math.min(speed, clearance * SLOWDOWN), speed * 1e-4) * (boost ? BOOST : 1);
+
+            if (_thrust.lengthSq() > 0) {
+                _thrust.normalize().applyQuaternion(camera.quaternion); // ship frame -> world
+                flight.velocity.addScaledVector(_thrust, limit * ACCELERATION * dt);
+            } else {
+                flight.velocity.multiplyScalar(Math.exp(-COAST_DRAG * dt));
+            }
+            if (flight.velocity.length() > limit) flight.velocity.setLength(limit);
+            camera.position.addScaledVector(flight.velocity, dt);
+
+            // collision avoidance: back onto the safety shell, without the inbound velocity
+            obstacles.forEach(({center, radius}) => {
+                const keepOut = radius * SAFETY;
+                _away.subVectors(camera.position, center);
+                const distance = _away.length();
+                if (distance >= keepOut) return;
+                if (distance < 1e-9) _away.set(0, 1, 0);
+                _away.normalize();
+                camera.position.copy(center).addScaledVector(_away, keepOut);
+                const inbound = flight.velocity.dot(_away);
+                if (inbound < 0) flight.velocity.addScaledVector(_away, -inbound);
+            });
+
+            // the near plane shrinks close to small bodies so their surface is not clipped away
+            const near = Math.min(baseNear, Math.max(clearance * NEAR_FRACTION, baseNear * 1e-3));
+            if (Math.abs(near - camera.near) > camera.near * 0.05) {
+                camera.near = near;
+                camera.updateProjectionMatrix();
+            }
+
+            const shown = flight.velocity.length();
+            speedReadout.textContent = `${shown.toFixed(shown < 10 ? 2 : 0)} units/s${boost ? ' · boost' : ''}`;
+        },
+
+        dispose: () => {
+            window.removeEventListener('keydown', onKeyDown, true);
+            window.removeEventListener('keyup', onKeyUp, true);
+            window.removeEventListener('blur', onBlur);
+            domElement.removeEventListener('pointerdown', onPointerDown);
+            window.removeEventListener('pointermove', onPointerMove);
+            window.removeEventListener('pointerup', onPointerUp);
+            hud.remove();
+        }
+    };
+    return flight;
+};
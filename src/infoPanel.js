@@ -0,0 +1,89 @@
+/*
+ Info panel
+ ----------
+ A small HTML overlay that shows key/value facts about the selected body. Static rows are
+ rendered once per selection; live rows are refreshed from the render loop (only their text
+ changes, so it is cheap to call every frame). Styling lives in style.css (.info-panel).
+*/
+
+/**
+ * Create the (initially hidden) info panel.
+ * @param {{container?:HTMLElement, onClose?:function():void}} [options]
+ * @returns {{element:HTMLElement, show:function(string, string, Array<[string,string]>):void,
+ *   setLive:function(Array<[string,string]>):void, hide:function():void, dispose:function():void}}
+ */
+export const createInfoPanel = (options = {}) => {
+    const {container = document.body, onClose} = options;
+
+    const element = document.createElement('aside');
+    element.className = 'info-panel';
+    element.hidden = true;
+
+    const header = document.createElement('header');
+    const title = document.createElement('h2');
+    const subtitle = document.createElement('p');
+    subtitle.className = 'info-panel__kind';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'info-panel__close';
+    close.setAttribute('aria-label', 'Close');
+    close.textContent = '×';
+    header.append(title, close);
+
+    const staticList = document.createElement('dl'); // config values
+    const liveList = document.createElement('dl');   // values that change every frame
+    liveList.className = 'info-panel__live';
+
+    element.append(header, subtitle, staticList, liveList);
+    container.appendChild(element);
+
+    // fill a <dl> with rows, reusing existing <dd> nodes when the labels are unchanged
+    const fillList = (list, rows) => {
+        const sameShape = list.children.length === rows.length * 2 &&
+            rows.every(([label], i) => list.children[i * 2].textContent === label);
+        if (sameShape) {
+            rows.forEach(([, value], i) => {
+                const dd = list.children[i * 2 + 1];
+                if (dd.textContent !== value) dd.textContent = value;
+            });
+            return;
+        }
+        list.replaceChildren();
+        rows.forEach(([label, value]) => {
+            const dt = document.createElement('dt');
+            dt.textContent = label;
+            const dd = document.createElement('dd');
+            dd.textContent = value;
+            list.append(dt, dd);
+        });
+    };
+
+    const handleClose = () => {
+        panel.hide();
+        if (onClose) onClose();
+    };
+    close.addEventListener('click', handleClose);
+
+    const panel = {
+        element,
+        show: (name, kind, rows) => {
+            title.textContent = name;
+            subtitle.textContent = kind;
+            fillList(staticList, rows);
+            liveList.replaceChildren();
+            element.hidden = false;
+        },
+        setLive: (rows) => {
+            if (!element.hidden) fillList(liveList, rows);
+        },
+        hide: () => {
+            element.hidden = true;
+        },
+        dispose: () => {
+            close.removeEventListener('click', handleClose);
+            element.remove();
+        }
+    };
+
+    return panel;
+};
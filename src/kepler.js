@@ -0,0 +1,183 @@
+/*
+ Kepler orbit engine
+ -------------------
+ Small, dependency-light helpers that turn classical orbital elements into positions for a
+ given Julian date. Bodies in main.js carry an `elements` block and are placed by solving
+ Kepler's equation every frame, so the scene always shows a definite moment in time.
+
+ Conventions
+ - Angles in the elements are degrees; periods and epochs are in days.
+ - Positions are computed in the standard ecliptic frame (x toward the vernal equinox,
+   z toward the ecliptic north pole) and then mapped to three.js' Y-up frame:
+   three.x = x, three.y = z, three.z = -y. Prograde orbits therefore run counter-clockwise
+   when looked at from +Y, matching the original rotation.y-based animation.
+ - The semi-major axis used for placement is passed in scene units by the caller, so the
+   artistic `distance` values keep working while eccentricity and orientation are real.
+ - `nodeRate` and `periRate` (degrees/day) turn the node and periapsis from the epoch on, for
+   orbits that precess fast enough to matter (the Moon's node goes round in 18.6 years). The
+   period is then the anomalistic one (periapsis to periapsis).
+*/
+import * as THREE from 'three';
+
+export const J2000 = 2451545.0; // Julian date of 2000-01-01 12:00 TT (epoch of the elements)
+const MS_PER_DAY = 86400000; // milliseconds in one day
+const UNIX_EPOCH_JD = 2440587.5; // Julian date of 1970-01-01 00:00 UTC
+
+const DEG = Math.PI / 180;
+const TWO_PI = Math.PI * 2;
+
+const _plane = new THREE.Quaternion();
+const _qNode = new THREE.Quaternion();
+const _qInc = new THREE.Quaternion();
+const _qPeri = new THREE.Quaternion();
+const _axisX = new THREE.Vector3(1, 0, 0);
+const _axisY = new THREE.Vector3(0, 1, 0);
+
+/**
+ * Convert a JS Date (or ms timestamp) to a Julian date.
+ * @param {Date|number} date
+ * @returns {number}
+ */
+export const dateToJulian = (date) => {
+    const ms = date instanceof Date ? date.getTime() : date;
+    return ms / MS_PER_DAY + UNIX_EPOCH_JD;
+};
+
+/**
+ * Convert a Julian date back to a JS Date.
+ * @param {number} jd
+ * @returns {Date}
+ */
+export const julianToDate = (jd) => new Date((jd - UNIX_EPOCH_JD) * MS_PER_DAY);
+
+/**
+ * Solve Kepler's equation M = E - e sin E for the eccentric anomaly E (radians).
+ * Newton iteration converges in a handful of steps for every e < 0.99.
+ * @param {number} M - Mean anomaly in radians.
+ * @param {number} e - Eccentricity (0 <= e < 1).
+ * @returns {number} Eccentric anomaly in radians.
+ */
+export const solveKepler = (M, e) => {
+    // wrap M into [-PI, PI] so the starting guess is close
+    const m = M - TWO_PI * Math.round(M / TWO_PI);
+    let E = e < 0.8 ? m : Math.PI * Math.sign(m || 1);
+    for (let k = 0; k < 30; k++) {
+        const delta = (E - e * Math.sin(E) - m) / (1 - e * Math.cos(E));
+        E -= delta;
+        if (Math.abs(delta) < 1e-12) break;
+    }
+    return E;
+};
+
+/**
+ * Mean anomaly (radians) of a body at the given Julian date.
+ * A negative period describes a retrograde orbit.
+ * @param {{M0?:number, period:number, epoch?:number}} el
+ * @param {number} jd
+ * @returns {number}
+ */
+export const meanAnomalyAt = (el, jd) => {
+    const epoch = el.epoch ?? J2000;
+    return ((el.M0 || 0) + 360 * (jd - epoch) / el.period) * DEG;
+};
+
+// node or periapsis (degrees) at a Julian date, turned by its precession rate since the epoch
+const precessedAngle = (el, key, rate, jd) => (el[key] || 0) + (el[rate] ? el[rate] * (jd - (el.epoch ?? J2000)) : 0);
+
+/**
+ * Rotation taking the perifocal frame (periapsis along +X, orbit normal along +Y) into the
+ * parent frame: Rz(node) * Rx(i) * Rz(peri) in ecliptic terms, which is Y/X/Y in three.js.
+ * @param {{i?:number, node?:number, peri?:number, nodeRate?:number, periRate?:number, epoch?:number}} el
+ * @param {THREE.Quaternion} [target]
+ * @param {number} [jd] - Julian date for precessing orbits (defaults to the epoch).
+ * @returns {THREE.Quaternion}
+ */
+export const orbitalPlaneQuaternion = (el, target = new THREE.Quaternion(), jd = el.epoch ?? J2000) => {
+    _qNode.setFromAxisAngle(_axisY, precessedAngle(el, 'node', 'nodeRate', jd) * DEG);
+    _qInc.setFromAxisAngle(_axisX, (el.i || 0) * DEG);
+    _qPeri.setFromAxisAngle(_axisY, precessedAngle(el, 'peri', 'periRate', jd) * DEG);
+    return target.copy(_qNode).multiply(_qInc).multiply(_qPeri);
+};
+
+/**
+ * Point on the orbit for a given eccentric anomaly, in the perifocal frame (three.js axes).
+ * @param {number} E - Eccentric anomaly (radians).
+ * @param {number} e - Eccentricity.
+ * @param {number} a - Semi-major axis in scene units.
+ * @param {THREE.Vector3} target
+ * @returns {THREE.Vector3}
+ */
+const perifocalPoint = (E, e, a, target) => {
+    const b = a * Math.sqrt(1 - e * e); // semi-minor axis
+    // ecliptic-style (x, y) in the orbital plane -> three (x, 0, -y)
+    return target.set(a * (Math.cos(E) - e), 0, -b * Math.sin(E));
+};
+
+/**
+ * Position of a body relative to the focus of its orbit at the given Julian date.
+ * @param {{e?:number, i?:number, node?:number, peri?:number, nodeRate?:number, periRate?:number, M0?:number, period:number}} el
+ * @param {number} jd - Julian date.
+ * @param {number} a - Semi-major axis in scene units.
+ * @param {THREE.Vector3} [target]
+ * @returns {THREE.Vector3}
+ */
+export const orbitalPosition = (el, jd, a, target = new THREE.Vector3()) => {
+    const e = el.e || 0;
+    const E = solveKepler(meanAnomalyAt(el, jd), e);
+    perifocalPoint(E, e, a, target);
+    return target.applyQuaternion(orbitalPlaneQuaternion(el, _plane, jd));
+};
+
+/**
+ * Current orbital angle (true anomaly, radians in [0, 2PI)) at the given Julian date.
+ * @param {{e?:number, M0?:number, period:number}} el
+ * @param {number} jd
+ * @returns {number}
+ */
+export const trueAnomalyAt = (el, jd) => {
+    const e = el.e || 0;
+    const E = solveKepler(meanAnomalyAt(el, jd), e);
+    const nu = 2 * Math.atan2(Math.sqrt(1 + e) * Math.sin(E / 2), Math.sqrt(1 - e) * Math.cos(E / 2));
+    return (nu + TWO_PI) % TWO_PI;
+};
+
+/**
+ * Sample the full orbit ellipse (sampled evenly in eccentric anomaly) for drawing.
+ * @param {{e?:number, i?:number, node?:number, peri?:number}} el
+ * @param {number} a - Semi-major axis in scene units.
+ * @param {number} [segments=240]
+ * @returns {THREE.Vector3[]}
+ */
+export const orbitEllipsePoints = (el, a, segments = 240) => {
+    const q = orbitalPlaneQuaternion(el);
+    return perifocalEllipsePoints(el.e || 0, a, segments).map((point) => point.applyQuaternion(q));
+};
+
+/**
+ * The same ellipse in the perifocal frame, for lines that are turned by orbitalPlaneQuaternion()
+ * as the orbit precesses.
+ * @param {number} e - Eccentricity.
+ * @param {number} a - Semi-major axis in scene units.
+ * @param {number} [segments=240]
+ * @returns {THREE.Vector3[]}
+ */
+export const perifocalEllipsePoints = (e, a, segments = 240) => {
+    const points = [];
+    for (let k = 0; k < segments; k++) {
+        const E = (k / segments) * TWO_PI;
+        points.push(perifocalPoint(E, e, a, new THREE.Vector3()));
+    }
+    return points;
+};
+
+/**
+ * Spin angle (radians) about the body's own axis at the given Julian date.
+ * @param {number} rotationPeriod - Sidereal rotation period in days.
+ * @param {number} jd
+ * @returns {number}
+ */
+export const spinAngleAt = (rotationPeriod, jd) => {
+    if (!rotationPeriod) return 0;
+    const turns = (jd - J2000) / rotationPeriod;
+    return (turns - Math.floor(turns)) * TWO_PI;
+};
@@ -0,0 +1,64 @@
+/*
+ Labels
+ ------
+ Billboard-ready text labels using troika-three-text (no font asset needed), plus the
+ safety patch that keeps Troika's getter-only depth material properties assignable.
+*/
+import {Text} from 'troika-three-text';
+
+// Safety patch: Provide no-op setters for Troika Text depth materials to avoid
+// TypeError when any external code tries to assign them. Troika defines these
+// as getter-only properties; assigning would otherwise throw at runtime.
+try {
+    const descDepth = Object.getOwnPropertyDescriptor(Text.prototype, 'customDepthMaterial');
+    if (descDepth && !descDepth.set) {
+        Object.defineProperty(Text.prototype, 'customDepthMaterial', {
+            get: descDepth.get,
+            set: function (_) { /* no-op to avoid TypeError on external assignment */
+            },
+            configurable: true
+        });
+    }
+    const descDist = Object.getOwnPropertyDescriptor(Text.prototype, 'customDistanceMaterial');
+    if (descDist && !descDist.set) {
+        Object.defineProperty(Text.prototype, 'customDistanceMaterial', {
+            get: descDist.get,
+            set: function (_) { /* no-op */
+            },
+            configurable: true
+        });
+    }
+} catch (e) {
+    console.warn('Troika Text depth material patch failed:', e);
+}
+
+// Create a single label using troika-three-text (billboard-ready)
+export const makeLabelMesh = (labelText, size, color = 0xffffff) => {
+    const text = new Text();
+    text.text = labelText;
+    text.fontSize = size;
+    text.color = color;
+    // center horizontally, keep baseline vertically
+    text.anchorX = 'center';
+    text.anchorY = 'baseline';
+    // improve readability slightly
+    text.outlineWidth = 0.0; // set >0 for halo
+    text.depthOffset = -1; // bias to reduce z-fighting when overlapping
+    // ensure late render so most scene depth exists
+    text.renderOrder = 999;
+    // Avoid shadow depth overrides: Troika's Text defines getter-only customDepthMaterial/customDistanceMaterial
+    // Some generic code may try to set these when castShadow is true; keep shadows off for labels
+    text.castShadow = false;
+    text.receiveShadow = false;
+    // material depth settings
+    // troika creates its own material; tweak after creation
+    text.sync(() => {
+        if (text.material) {
+            text.material.depthWrite = false;
+            // Choose visibility policy: keep physical occlusion (true) or always on top (false)
+            text.material.depthTest = true;
+            text.material.toneMapped = false;
+        }
+    });
+    return text;
+};
@@ -0,0 +1,30 @@
+/*
+ Render layers
+ -------------
+ three.js layers used to show or hide whole categories of objects: the camera only draws the
+ layers it has enabled, and raycasters copy the camera's mask so hidden bodies can neither be
+ picked nor hide the lens flare. Layer 0 (every object's default) holds what is always drawn:
+ the sun, the background, trails, space dust and the lens flare.
+ Layer membership is per object, not inherited from the parent, so setLayer() assigns a whole
+ subtree (a planet with its clouds and atmosphere, a ring with its particles...).
+*/
+
+export const LAYERS = {
+    planets: 1,
+    moons: 2,
+    dwarfPlanets: 3,
+    belts: 4,
+    rings: 5,
+    orbits: 6,
+    labels: 7,
+    comets: 8
+};
+
+/**
+ * Put an object and all of its current descendants on one layer.
+ * @param {import('three').Object3D} object
+ * @param {number} layer - One of LAYERS.
+ */
+export const setLayer = (object, layer) => {
+    object.traverse((child) => child.layers.set(layer));
+};
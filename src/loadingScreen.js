@@ -0,0 +1,97 @@
+/*
+ Loading screen
+ --------------
+ Overlay shown while a SolarSystem's textures load. It follows a THREE.LoadingManager: a
+ progress bar with "loaded / total" and the file currently loading, then fades out once the
+ manager reports everything done. Assets that failed are listed by name (they are rendered
+ with procedural surfaces instead); with failures the overlay stays as a small dismissible
+ notice instead of disappearing.
+*/
+
+/**
+ * @param {{container?:HTMLElement, manager:import('three').LoadingManager, title?:string, onDone?:function(string[]):void}} options
+ *   onDone(failedPaths) runs once when loading finished (successfully or not).
+ * @returns {{element:HTMLElement, addError:function(string):void, settle:function():void, dispose:function():void}}
+ */
+export const createLoadingScreen = ({container = document.body, manager, title = 'Loading the solar system…', onDone}) => {
+    const element = document.createElement('div');
+    element.className = 'loading-screen';
+    element.setAttribute('role', 'status');
+
+    const heading = document.createElement('strong');
+    heading.textContent = title;
+    const bar = document.createElement('div');
+    bar.className = 'loading-screen__bar';
+    const fill = document.createElement('span');
+    bar.appendChild(fill);
+    const detail = document.createElement('p');
+    detail.className = 'loading-screen__detail';
+    const errorList = document.createElement('ul');
+    errorList.className = 'loading-screen__errors';
+    const dismiss = document.createElement('button');
+    dismiss.type = 'button';
+    dismiss.textContent = 'Dismiss';
+    dismiss.hidden = true;
+    dismiss.addEventListener('click', () => element.remove());
+
+    element.append(heading, bar, detail, errorList, dismiss);
+    container.appendChild(element);
+
+    const errors = [];
+    let hideTimer = 0;
+    let started = false;
+    let finished = false; // later loads (e.g. a recreated dust field) don't bring the screen back
+
+    // manager.onStart/onProgress/onLoad are single slots: this screen owns them for its manager
+    manager.onStart = () => {
+        started = true;
+    };
+    manager.onProgress = (url, loaded, total) => {
+        if (finished) return;
+        fill.style.width = `${Math.round((loaded / Math.max(total, 1)) * 100)}%`;
+        detail.textContent = `${loaded} / ${total} — ${url.split('/').pop()}`;
+    };
+    manager.onLoad = () => {
+        if (finished) return;
+        finished = true;
+        fill.style.width = '100%';
+        if (onDone) onDone(errors.slice());
+        if (!errors.length) {
+            element.classList.add('loading-screen--done'); // CSS fade
+            hideTimer = setTimeout(() => element.remove(), 400);
+            return;
+        }
+        // keep the failures visible as a compact notice over the (now running) scene
+        element.classList.add('loading-screen--errors');
+        heading.textContent = `${errors.length} texture${errors.length === 1 ? '' : 's'} could not be loaded — using generated surfaces.`;
+        bar.remove();
+        detail.remove();
+        dismiss.hidden = false;
+    };
+
+    return {
+        element,
+
+        /** Record a failed asset (path as written in the system definition). */
+        addError: (path) => {
+            if (finished) return;
+            errors.push(path);
+            const item = document.createElement('li');
+            item.textContent = path;
+            errorList.appendChild(item);
+        },
+
+        /** Call once every load has been queued: a manager that never started loading finishes right away. */
+        settle: () => {
+            if (!started) manager.onLoad();
+        },
+
+        dispose: () => {
+            clearTimeout(hideTimer);
+            manager.onStart = undefined;
+            manager.onProgress = undefined;
+            manager.onLoad = undefined;
+            element.remove();
+        }
+    };
+};
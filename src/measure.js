@@ -0,0 +1,177 @@
+/*
+ Measurement
+ -----------
+ A line between two endpoints (bodies, or a body and the camera) with its length on a label at
+ the midpoint and a readout panel:
+ - the distance in scene units, which depends on the scale mode;
+ - the real distance in km and AU with the light travel time, when both endpoints have a
+   physical position (bodies always do, from their orbital elements; the camera only in the
+   true-distance mode, where scene units are proportional to AU);
+ - the angular separation of the two endpoints as seen from a third body (real positions when
+   all three have them, else the scene's).
+ The caller resolves the endpoints every frame (SolarSystem._updateMeasurement), so the line
+ and numbers follow the orbits as the clock runs. The line starts a little below the camera
+ when it is an endpoint, otherwise it would be seen end-on. The label is a troika text mesh
+ kept at a constant apparent size, so it also shows up in captures. Styling of the panel lives
+ in style.css (.measure-panel).
+*/
+import * as THREE from 'three';
+import {makeLabelMesh} from './labels.js';
+import {KM_PER_AU} from './scaleModes.js';
+
+export const MEASURE_CAMERA = '@camera'; // endpoint name for the camera
+export const SPEED_OF_LIGHT = 299792.458; // km/s
+
+const LABEL_SIZE = 0.025; // label height as a fraction of its distance to the camera
+const CAMERA_OFFSET = new THREE.Vector3(0, -1, -2); // camera endpoint in camera space, times the near plane * 10
+
+const _a = new THREE.Vector3();
+const _b = new THREE.Vector3();
+const _offset = new THREE.Vector3();
+
+/**
+ * Angle between two points seen from a third.
+ * @param {THREE.Vector3} a
+ * @param {THREE.Vector3} b
+ * @param {THREE.Vector3} from
+ * @returns {number} Degrees.
+ */
+export const angularSeparation = (a, b, from) => THREE.MathUtils.radToDeg(_a.subVectors(a, from).angleTo(_b.subVectors(b, from)));
+
+/** @param {number} km @returns {string} e.g. "384,400 km" or "225.3 million km" */
+export const formatKm = (km) => (km < 1e6 ? `${Math.round(km).toLocaleString('en-US')} km` : `${(km / 1e6).toFixed(km < 1e8 ? 2 : 1)} million km`);
+
+/** @param {number} seconds @returns {string} e.g. "1.28 s", "8 min 19 s", "4 h 10 min" */
+export const formatLightTime = (seconds) => {
+    if (seconds < 60) return `${seconds.toFixed(2)} s`;
+    const minutes = Math.floor(seconds / 60);
+    if (minutes < 60) return `${minutes} min ${Math.floor(seconds % 60)} s`;
+    return `${Math.floor(minutes / 60)} h ${minutes % 60} min`;
+};
+
+/** @param {number} deg @returns {string} degrees, or arcminutes/arcseconds for small angles */
+export const formatAngle = (deg) => {
+    if (deg >= 1) return `${deg.toFixed(2)}°`;
+    if (deg * 60 >= 1) return `${(deg * 60).toFixed(1)}′`;
+    return `${(deg * 3600).toFixed(1)}″`;
+};
+
+/**
+ * Create the (initially hidden) measurement line, label and readout panel.
+ * @param {{scene:THREE.Scene, container?:HTMLElement}} options
+ * @returns {{line:THREE.Line, label:import('troika-three-text').Text, element:HTMLElement, result:object|null,
+ *   update:function(object):object, hide:function():void, dispose:function():void}}
+ */
+export const createMeasureTool = ({scene, container = document.body}) => {
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', new THREE.BufferAttribute(new Float32Array(6), 3));
+    const line = new THREE.Line(geometry, new THREE.LineBasicMaterial({color: 0xffcc66, transparent: true, opacity: 0.9, toneMapped: false}));
+    line.name = 'measure-line';
+    line.frustumCulled = false; // the endpoints move every frame
+    line.renderOrder = 998;
+    line.visible = false;
+    const label = makeLabelMesh('', 1, 0xffcc66);
+    label.anchorY = 'bottom';
+    label.textAlign = 'center';
+    label.visible = false;
+    scene.add(line, label);
+
+    const element = document.createElement('aside');
+    element.className = 'measure-panel';
+    element.hidden = true;
+    const title = document.createElement('h2');
+    const list = document.createElement('dl');
+    element.append(title, list);
+    container.appendChild(element);
+
+    // rows as <dt>/<dd> pairs; only the text changes from frame to frame
+    const setRows = (rows) => {
+        if (list.children.length !== rows.length * 2 || rows.some(([key], i) => list.children[i * 2].textContent !== key)) {
+            list.replaceChildren(...rows.flatMap(([key]) => {
+                const dt = document.createElement('dt');
+                dt.textContent = key;
+                return [dt, document.createElement('dd')];
+            }));
+        }
+        rows.forEach(([, value], i) => {
+            if (list.children[i * 2 + 1].textContent !== value) list.children[i * 2 + 1].textContent = value;
+        });
+    };
+
+    const tool = {
+        line,
+        label,
+        element,
+        result: null,
+
+        /**
+         * Measure and draw. Endpoints: {name, scene: world position, au: heliocentric AU or null}.
+         * @param {{from:object, to:object, observer?:object|null, camera:THREE.Camera}} endpoints
+         *   observer: the body the angular separation is seen from (optional).
+         * @returns {{units:number, au:number|null, km:number|null, lightSeconds:number|null,
+         *   angle:number|null, physicalAngle:boolean}} Also kept as `result`.
+         */
+        update: ({from, to, observer = null, camera}) => {
+            const units = from.scene.distanceTo(to.scene);
+            const au = from.au && to.au ? from.au.distanceTo(to.au) : null;
+            const km = au === null ? null : au * KM_PER_AU;
+            const physicalAngle = !!(observer && from.au && to.au && observer.au);
+            let angle = null;
+            if (observer) angle = physicalAngle ? angularSeparation(from.au, to.au, observer.au) : angularSeparation(from.scene, to.scene, observer.scene);
+            tool.result = {units, au, km, lightSeconds: km === null ? null : km / SPEED_OF_LIGHT, angle, physicalAngle};
+
+            // line, starting below the camera when it is an endpoint
+            const endpoint = (point, target) => (point.name === MEASURE_CAMERA
+                ? target.copy(CAMERA_OFFSET).multiplyScalar(camera.near * 10).applyQuaternion(camera.quaternion).add(camera.position)
+                : target.copy(point.scene));
+            const positions = geometry.attributes.position;
+            endpoint(from, _a).toArray(positions.array, 0);
+            endpoint(to, _b).toArray(positions.array, 3);
+            positions.needsUpdate = true;
+            line.visible = true;
+
+            // label at the midpoint, facing the camera at a constant apparent size
+            label.position.addVectors(_a, _b).multiplyScalar(0.5);
+            label.quaternion.copy(camera.quaternion);
+            label.scale.setScalar(Math.max(camera.position.distanceTo(label.position), camera.near) * LABEL_SIZE);
+            label.position.add(_offset.set(0, label.scale.y * 0.3, 0).applyQuaternion(camera.quaternion));
+            const text = `${units.toFixed(2)} units${km === null ? '' : `\n${formatKm(km)} · ${formatLightTime(km / SPEED_OF_LIGHT)} light time`}`;
+            if (label.text !== text) {
+                label.text = text;
+                label.sync();
+            }
+            label.visible = true;
+
+            // panel
+            const name = (point) => (point.name === MEASURE_CAMERA ? 'Camera' : point.name);
+            title.textContent = `${name(from)} → ${name(to)}`;
+            const rows = [['Distance', `${units.toFixed(units < 10 ? 3 : 1)} units`]];
+            if (km !== null) {
+                rows.push(['Real distance', formatKm(km)], ['In AU', `${au.toFixed(au < 0.1 ? 5 : 3)} AU`], ['Light time', formatLightTime(km / SPEED_OF_LIGHT)]);
+            } else {
+                const camera = from.name === MEASURE_CAMERA || to.name === MEASURE_CAMERA;
+                rows.push(['Real distance', camera ? 'true-distance scale only' : 'no orbital data']);
+            }
+            if (observer) rows.push([`Separation from ${name(observer)}`, `${formatAngle(angle)}${physicalAngle ? '' : ' (scene)'}`]);
+            setRows(rows);
+            element.hidden = false;
+            return tool.result;
+        },
+
+        hide: () => {
+            tool.result = null;
+            line.visible = false;
+            label.visible = false;
+            element.hidden = true;
+        },
+
+        dispose: () => {
+            scene.remove(line, label);
+            geometry.dispose();
+            line.material.dispose();
+            label.dispose();
+            element.remove();
+        }
+    };
+    return tool;
+};
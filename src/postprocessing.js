@@ -0,0 +1,153 @@
+/*
+ Post-processing
+ ---------------
+ Bloom and lens flare for the sun:
+ - An EffectComposer renders the scene into a half-float target (RenderPass), blooms whatever is
+   brighter than `threshold` (UnrealBloomPass; the sun surface and corona are pushed above 1.0
+   in sun.js) and finishes with an OutputPass. Rendering into a target skips three's per-material
+   tone mapping, so the OutputPass applies renderer.toneMapping / toneMappingExposure and the
+   output color space once, on the combined image: switching the tone mapper on the renderer
+   works the same with or without bloom.
+ - A lens flare: a glow and ghosts drawn on canvases, as sprites in front of the camera along the
+   line from the sun through the screen center. three's Lensflare addon is not used because it
+   copies the framebuffer into an 8-bit texture, which fails while rendering into the composer's
+   half-float target; occlusion is a raycast against the bodies instead.
+ Bloom costs a few full-screen passes per frame; weak GPUs can turn it off and render directly.
+*/
+import * as THREE from 'three';
+import {EffectComposer} from 'three/examples/jsm/postprocessing/EffectComposer.js';
+import {RenderPass} from 'three/examples/jsm/postprocessing/RenderPass.js';
+import {UnrealBloomPass} from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import {OutputPass} from 'three/examples/jsm/postprocessing/OutputPass.js';
+
+/**
+ * Composer with a bloom pass.
+ * @param {THREE.WebGLRenderer} renderer
+ * @param {THREE.Scene} scene
+ * @param {THREE.Camera} camera
+ * @param {{strength?:number, radius?:number, threshold?:number}} [options] - UnrealBloomPass settings.
+ * @returns {{composer:EffectComposer, bloom:UnrealBloomPass, render:function():void,
+ *   setSize:function(number, number):void, setPixelRatio:function(number):void, dispose:function():void}}
+ */
+export const createPostProcessing = (renderer, scene, camera, {strength = 0.8, radius = 0.4, threshold = 1} = {}) => {
+    const size = renderer.getSize(new THREE.Vector2());
+    const composer = new EffectComposer(renderer);
+    const renderPass = new RenderPass(scene, camera);
+    const bloom = new UnrealBloomPass(size, strength, radius, threshold);
+    const output = new OutputPass(); // tone mapping + color space from the renderer
+    composer.addPass(renderPass);
+    composer.addPass(bloom);
+    composer.addPass(output);
+
+    return {
+        composer,
+        bloom,
+        render: () => composer.render(),
+        setSize: (width, height) => composer.setSize(width, height),
+        setPixelRatio: (ratio) => composer.setPixelRatio(ratio),
+        dispose: () => {
+            [renderPass, bloom, output].forEach((pass) => pass.dispose());
+            composer.dispose(); // render targets
+        }
+    };
+};
+
+// Radial glow on a canvas; stops are [offset, alpha] pairs
+const drawGlow = (size, stops) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = canvas.height = size;
+    const ctx = canvas.getContext('2d');
+    const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    stops.forEach(([offset, alpha]) => gradient.addColorStop(offset, `rgba(255,255,255,${alpha})`));
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+};
+
+const _sunView = new THREE.Vector3(); // scratch: sun in NDC
+const _sunWorld = new THREE.Vector3();
+const _raycaster = new THREE.Raycaster();
+
+/**
+ * Lens flare for the star: a bright core and a row of ghosts along the line through the screen
+ * center, as sprites on a group to add to the camera. Call updateLensFlare() every frame.
+ * @param {{color?:string|number}} [options] - Tint of the core.
+ * @returns {THREE.Group}
+ */
+export const createLensFlare = ({color = 0xffe2b0} = {}) => {
+    const core = drawGlow(256, [[0, 1], [0.15, 0.6], [0.4, 0.12], [1, 0]]);
+    const ghost = drawGlow(128, [[0, 0.35], [0.6, 0.2], [0.85, 0.35], [1, 0]]); // soft disk with a brighter rim
+    const flare = new THREE.Group();
+    flare.name = 'lens-flare';
+
+    // [texture, size (fraction of the view height), distance (0 = at the sun, 1 = mirrored through the center), color]
+    const elements = [
+        [core, 0.35, 0, color],
+        [ghost, 0.05, 0.4, 0x9fd0ff],
+        [ghost, 0.08, 0.55, 0xffc8a0],
+        [ghost, 0.04, 0.7, 0xb0ffd0],
+        [ghost, 0.12, 0.9, 0x9fb8ff]
+    ];
+    elements.forEach(([map, size, distance, tint]) => {
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+            map,
+            color: tint,
+            blending: THREE.AdditiveBlending,
+            depthTest: false,
+            depthWrite: false,
+            transparent: true
+        }));
+        sprite.userData.flare = {size, distance};
+        sprite.renderOrder = Infinity; // over everything
+        flare.add(sprite);
+    });
+    flare.userData.fade = 0; // eases in/out as the sun is covered or uncovered
+    flare.userData.dispose = () => {
+        core.dispose();
+        ghost.dispose();
+        flare.children.forEach((sprite) => sprite.material.dispose());
+    };
+    return flare;
+};
+
+/**
+ * Place the flare elements for the sun's current screen position and fade them out while the
+ * sun is off-screen or hidden behind a body. The sun is at the origin.
+ * @param {THREE.Group} flare - From createLensFlare, added to the camera.
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {THREE.Object3D[]} occluders - Bodies that can hide the sun (raycast, non-recursive).
+ * @param {number} starRadius - Scene units; the occlusion ray stops at the star's surface.
+ * @param {number} dt - Seconds since the last frame.
+ */
+export const updateLensFlare = (flare, camera, occluders, starRadius, dt) => {
+    _sunView.set(0, 0, 0).project(camera); // NDC
+    const onScreen = _sunView.z < 1 && Math.abs(_sunView.x) < 1.2 && Math.abs(_sunView.y) < 1.2;
+
+    let visible = onScreen;
+    if (onScreen) {
+        // covered when a body sits between the camera and the sun's near surface
+        const toSun = _sunWorld.set(0, 0, 0).sub(camera.position);
+        const far = Math.max(toSun.length() - starRadius, 0);
+        _raycaster.set(camera.position, toSun.normalize());
+        _raycaster.far = far;
+        _raycaster.layers.mask = camera.layers.mask; // hidden bodies do not cover the sun
+        visible = _raycaster.intersectObjects(occluders, false).length === 0;
+    }
+    const fade = THREE.MathUtils.clamp(flare.userData.fade + (visible ? dt : -dt) * 4, 0, 1);
+    flare.userData.fade = fade;
+    flare.visible = fade > 0;
+    if (!flare.visible) return;
+
+    // sprites live on a plane one unit in front of the camera
+    const halfHeight = Math.tan(THREE.MathUtils.degToRad(camera.fov / 2));
+    const halfWidth = halfHeight * camera.aspect;
+    flare.children.forEach((sprite) => {
+        const {size, distance} = sprite.userData.flare;
+        const along = 1 - 2 * distance;
+        sprite.position.set(_sunView.x * along * halfWidth, _sunView.y * along * halfHeight, -1);
+        sprite.scale.setScalar(size * 2 * halfHeight);
+        sprite.material.opacity = fade;
+    });
+};
@@ -0,0 +1,202 @@
+/*
+ Procedural surface textures
+ ---------------------------
+ Fallback equirectangular maps drawn on a canvas when a body's texture file is missing or fails
+ to load, so the body still reads as a world instead of a black sphere:
+ - 'rocky': cratered, mottled ground (terrestrial planets, moons, rocks).
+ - 'gas'  : latitude bands with turbulent edges (gas and ice giants, the star).
+ Layered surface models (surfaceModels.js) also use two layer types:
+ - 'clouds': white cloud cover in a grayscale map (used as an alpha map).
+ - 'lights': sparse clusters of warm city lights on black (night side emission).
+ Noise is sampled on a cylinder so the left and right edges of the map meet without a seam,
+ and it is seeded from the body name so a body looks the same on every load.
+ The same noise draws the radial color/alpha profiles of planetary rings (createRingProfileTexture).
+*/
+import * as THREE from 'three';
+
+export const SURFACE_TYPES = ['rocky', 'gas']; // fallback types a body definition may ask for
+
+// 32-bit string hash (FNV-1a) used as the noise seed
+const hashString = (text) => {
+    let h = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        h ^= text.charCodeAt(i);
+        h = Math.imul(h, 0x01000193);
+    }
+    return h >>> 0;
+};
+
+// Small deterministic PRNG (mulberry32) for crater placement
+const createRandom = (seed) => () => {
+    seed = (seed + 0x6d2b79f5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+};
+
+/**
+ * Seeded 3D value noise with fractal (fBm) octaves, returning values in roughly [0, 1].
+ * @param {number} seed
+ * @returns {function(number, number, number, number=):number} fbm(x, y, z, octaves)
+ */
+const createNoise = (seed) => {
+    const lattice = (x, y, z) => {
+        let h = Math.imul(x, 374761393) ^ Math.imul(y, 668265263) ^ Math.imul(z, 2147483647) ^ seed;
+        h = Math.imul(h ^ (h >>> 13), 1274126177);
+        return ((h ^ (h >>> 16)) >>> 0) / 4294967295;
+    };
+    const smooth = (t) => t * t * (3 - 2 * t);
+    const noise = (x, y, z) => {
+        const xi = Math.floor(x), yi = Math.floor(y), zi = Math.floor(z);
+        const u = smooth(x - xi), v = smooth(y - yi), w = smooth(z - zi);
+        const lerp = THREE.MathUtils.lerp;
+        const c = (dx, dy, dz) => lattice(xi + dx, yi + dy, zi + dz);
+        return lerp(
+            lerp(lerp(c(0, 0, 0), c(1, 0, 0), u), lerp(c(0, 1, 0), c(1, 1, 0), u), v),
+            lerp(lerp(c(0, 0, 1), c(1, 0, 1), u), lerp(c(0, 1, 1), c(1, 1, 1), u), v),
+            w
+        );
+    };
+    return (x, y, z, octaves = 5) => {
+        let sum = 0, amp = 0.5, freq = 1, norm = 0;
+        for (let o = 0; o < octaves; o++) {
+            sum += noise(x * freq, y * freq, z * freq) * amp;
+            norm += amp;
+            amp *= 0.5;
+            freq *= 2;
+        }
+        return sum / norm;
+    };
+};
+
+/**
+ * Draw a procedural surface map for a body.
+ * @param {{type?:'rocky'|'gas'|'clouds'|'lights', color?:string|number, seed?:string, width?:number}} [options]
+ *   color: base tint; seed: any string (usually the body name); width: map width (height is width / 2).
+ * @returns {THREE.CanvasTexture}
+ */
+export const createProceduralTexture = ({type = 'rocky', color = 0x9a948c, seed = '', width = 512} = {}) => {
+    const height = width / 2;
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, height);
+
+    const base = new THREE.Color(color);
+    const fbm = createNoise(hashString(`${type}:${seed}`));
+    const random = createRandom(hashString(seed) || 1);
+
+    // rocky bodies: a handful of craters in uv space (radius in map pixels)
+    const craters = type === 'rocky'
+        ? Array.from({length: 40}, () => ({x: random() * width, y: height * (0.1 + random() * 0.8), r: 2 + random() ** 3 * width * 0.05}))
+        : [];
+    const bandCount = 6 + Math.floor(random() * 6); // gas giants: number of light/dark band pairs
+
+    const shade = new THREE.Color();
+    for (let y = 0; y < height; y++) {
+        const lat = y / height; // 0 at the north pole, 1 at the south pole
+        for (let x = 0; x < width; x++) {
+            // point on a cylinder so the map wraps seamlessly in longitude
+            const angle = (x / width) * Math.PI * 2;
+            const cx = Math.cos(angle) * 1.6, cz = Math.sin(angle) * 1.6, cy = lat * 5;
+
+            let brightness;
+            if (type === 'clouds') {
+                // patchy cover, thinner towards the poles
+                const cover = fbm(cx * 1.5, cy * 1.2, cz * 1.5, 6);
+                brightness = THREE.MathUtils.smoothstep(cover, 0.45, 0.7) * (1 - Math.abs(lat - 0.5) * 0.6);
+            } else if (type === 'lights') {
+                // clustered specks at mid latitudes; most of the map stays dark
+                const region = THREE.MathUtils.smoothstep(fbm(cx * 0.8, cy * 0.8, cz * 0.8, 3), 0.55, 0.7);
+                const speck = fbm(cx * 24, cy * 24, cz * 24, 2);
+                const band = 1 - THREE.MathUtils.smoothstep(Math.abs(lat - 0.42), 0.12, 0.3);
+                brightness = region * band * THREE.MathUtils.smoothstep(speck, 0.55, 0.75);
+            } else if (type === 'gas') {
+                // bands warped by low-frequency turbulence, plus fine streaks along latitude
+                const warp = (fbm(cx, cy, cz, 4) - 0.5) * 0.9;
+                const band = Math.sin((lat + warp * 0.12) * Math.PI * bandCount * 2);
+                const streak = fbm(cx * 4, cy * 0.5, cz * 4, 3);
+                brightness = 0.78 + band * 0.14 + (streak - 0.5) * 0.2;
+            } else {
+                // mottled ground with darker "maria" where the low-frequency noise is low
+                const detail = fbm(cx * 2, cy * 2, cz * 2, 5);
+                const maria = THREE.MathUtils.smoothstep(fbm(cx * 0.6, cy * 0.6, cz * 0.6, 3), 0.42, 0.58);
+                brightness = 0.55 + detail * 0.45 - (1 - maria) * 0.18;
+            }
+
+            shade.copy(base).multiplyScalar(brightness);
+            const i = (y * width + x) * 4;
+            image.data[i] = Math.min(255, shade.r * 255);
+            image.data[i + 1] = Math.min(255, shade.g * 255);
+            image.data[i + 2] = Math.min(255, shade.b * 255);
+            image.data[i + 3] = 255;
+        }
+    }
+    ctx.putImageData(image, 0, 0);
+
+    // craters: dark floor with a lit rim, drawn over the noise
+    craters.forEach(({x, y, r}) => {
+        const gradient = ctx.createRadialGradient(x, y, 0, x, y, r);
+        gradient.addColorStop(0, 'rgba(0,0,0,0.28)');
+        gradient.addColorStop(0.75, 'rgba(0,0,0,0.12)');
+        gradient.addColorStop(0.9, 'rgba(255,255,255,0.18)');
+        gradient.addColorStop(1, 'rgba(255,255,255,0)');
+        ctx.fillStyle = gradient;
+        ctx.beginPath();
+        ctx.arc(x, y, r, 0, Math.PI * 2);
+        ctx.fill();
+    });
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.wrapS = THREE.RepeatWrapping; // the map wraps around the sphere
+    texture.name = `procedural-${type}-${seed}`;
+    return texture;
+};
+
+/**
+ * Radial profile for a planetary ring: a strip whose x axis runs from the inner to the outer
+ * radius, with color and alpha per radius. Each band is drawn with fine brightness/opacity
+ * ringlets; gaps between bands (the Cassini division, for instance) stay transparent.
+ * @param {{inner:number, outer:number, opacity?:number, color?:string|number}[]} bands - Radii in planet radii.
+ * @param {{inner:number, outer:number, color?:string|number, seed?:string, width?:number}} options
+ *   inner/outer: radii the strip spans; color: default band color.
+ * @returns {THREE.CanvasTexture}
+ */
+export const createRingProfileTexture = (bands, {inner, outer, color = 0xd9c9a8, seed = '', width = 1024}) => {
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = 1;
+    const ctx = canvas.getContext('2d');
+    const image = ctx.createImageData(width, 1);
+    const fbm = createNoise(hashString(`ring:${seed}`));
+    const colors = bands.map((band) => new THREE.Color(band.color ?? color));
+
+    const samples = 4; // subsamples per pixel so narrow bands/edges are anti-aliased
+    for (let x = 0; x < width; x++) {
+        let r = 0, g = 0, b = 0, a = 0;
+        for (let s = 0; s < samples; s++) {
+            const radius = inner + ((x + (s + 0.5) / samples) / width) * (outer - inner);
+            const index = bands.findIndex((band) => radius >= band.inner && radius < band.outer);
+            if (index < 0) continue;
+            const ringlet = fbm(radius * 40, 0, 0, 4); // fine radial structure
+            const alpha = (bands[index].opacity ?? 0.6) * (0.7 + ringlet * 0.6);
+            const shade = 0.85 + ringlet * 0.3;
+            r += colors[index].r * shade * alpha;
+            g += colors[index].g * shade * alpha;
+            b += colors[index].b * shade * alpha;
+            a += alpha;
+        }
+        const i = x * 4;
+        // store straight (non-premultiplied) color, alpha averaged over the subsamples
+        image.data[i] = a ? Math.min(255, (r / a) * 255) : 0;
+        image.data[i + 1] = a ? Math.min(255, (g / a) * 255) : 0;
+        image.data[i + 2] = a ? Math.min(255, (b / a) * 255) : 0;
+        image.data[i + 3] = Math.min(255, (a / samples) * 255);
+    }
+    ctx.putImageData(image, 0, 0);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.name = `ring-profile-${seed}`;
+    return texture;
+};
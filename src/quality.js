@@ -0,0 +1,92 @@
+/*
+ Quality presets
+ ---------------
+ One knob for everything that costs GPU time or memory:
+ - textureTier   : largest texture resolution to use ('2k' | '4k' | '8k', see textures.js).
+ - segmentScale  : multiplier on the sphere segments chosen per body size (bodies.js).
+ - asteroidScale : multiplier on each belt's asteroid `count`.
+ - ringScale     : multiplier on each ring's rock `count`.
+ - pixelRatio    : cap on window.devicePixelRatio for the renderer.
+ 'high' matches the original look; 'auto' (createAutoQuality) starts there and steps down or
+ up one level at a time depending on the measured frame time.
+*/
+
+export const QUALITY_LEVELS = ['low', 'medium', 'high', 'ultra'];
+
+export const QUALITY_PRESETS = {
+    low: {textureTier: '2k', segmentScale: 0.5, asteroidScale: 0.3, ringScale: 0.3, pixelRatio: 1},
+    medium: {textureTier: '4k', segmentScale: 0.75, asteroidScale: 0.6, ringScale: 0.6, pixelRatio: 1.5},
+    high: {textureTier: '8k', segmentScale: 1, asteroidScale: 1, ringScale: 1, pixelRatio: 2},
+    ultra: {textureTier: '8k', segmentScale: 1.5, asteroidScale: 1.5, ringScale: 1.5, pixelRatio: 3}
+};
+
+/**
+ * Frame-time watcher for the 'auto' quality mode. Feed it every frame's delta; it answers with
+ * the level to switch to, or null to keep the current one.
+ * - Steps down when the average frame time over `window` seconds is above `slowMs`.
+ * - Steps up when it stays below `fastMs` for `upWindow` seconds, but never straight back to a
+ *   level it just had to leave (that level stays blocked for `retryAfter` seconds).
+ * @param {{level?:string, slowMs?:number, fastMs?:number, window?:number, upWindow?:number, retryAfter?:number}} [options]
+ * @returns {{level:string, sample:function(number):string|null, reset:function(string=):void}}
+ */
+export const createAutoQuality = ({
+    level = 'high',
+    slowMs = 1000 / 40, // below ~40 fps: too slow
+    fastMs = 1000 / 55, // steady ~55+ fps: room to spare
+    window = 2,
+    upWindow = 6,
+    retryAfter = 30
+} = {}) => {
+    let elapsed = 0; // seconds in the current measuring window
+    let frames = 0;
+    let fastFor = 0; // seconds the frame time has been below fastMs
+    let blocked = null; // {level, until} after a step down
+    let clock = 0; // total seconds seen, for the block timeout
+
+    const auto = {
+        level,
+
+        /**
+         * @param {number} dt - Seconds since the previous frame.
+         * @returns {string|null} New level, or null when nothing changes.
+         */
+        sample: (dt) => {
+            if (!(dt > 0) || dt > 1) return null; // ignore the first frame and tab switches
+            clock += dt;
+            elapsed += dt;
+            frames += 1;
+            if (elapsed < window) return null;
+
+            const avgMs = (elapsed / frames) * 1000;
+            const index = QUALITY_LEVELS.indexOf(auto.level);
+            fastFor = avgMs < fastMs ? fastFor + elapsed : 0;
+            elapsed = 0;
+            frames = 0;
+
+            if (avgMs > slowMs && index > 0) {
+                blocked = {level: auto.level, until: clock + retryAfter};
+                fastFor = 0;
+                auto.level = QUALITY_LEVELS[index - 1];
+                return auto.level;
+            }
+            if (fastFor >= upWindow && index < QUALITY_LEVELS.length - 1) {
+                const next = QUALITY_LEVELS[index + 1];
+                if (blocked && blocked.level === next && clock < blocked.until) return null;
+                fastFor = 0;
+                auto.level = next;
+                return auto.level;
+            }
+            return null;
+        },
+
+        /** Start measuring again (after a manual change or a pause), optionally from another level. */
+        reset: (newLevel = auto.level) => {
+            auto.level = newLevel;
+            elapsed = 0;
+            frames = 0;
+            fastFor = 0;
+            blocked = null;
+        }
+    };
+    return auto;
+};
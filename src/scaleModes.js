@@ -0,0 +1,159 @@
+/*
+ Scale modes
+ -----------
+ The `radius`/`distance` values in a system definition are artistic: balanced so every planet
+ is visible at once, not astronomically precise. A scale mode turns the definition into scene
+ sizes another way:
+ - 'artistic'     : the definition's values as they are.
+ - 'true-distance': heliocentric distances proportional to the semi-major axes (AU); body sizes
+                    and moon systems stay artistic so the planets can still be found.
+ - 'true-size'    : radii proportional to the physical radii (`radiusKm`), with the star keeping
+                    its artistic radius; moons orbit at their real distances in parent radii.
+                    Heliocentric distances stay artistic so the sun does not swallow the planets.
+ - 'logarithmic'  : distances and radii compressed with log10, which keeps the inner planets
+                    apart while the outer ones stay within reach.
+ Bodies missing physical data (`radiusKm`, a moon's `elements.a`) keep their artistic values.
+ Belts and comets have no artistic semi-major axis to scale: a layout's `radial` function maps
+ a heliocentric distance in AU to scene units, interpolating between the major planets in the
+ artistic and true-size modes (dwarf planets do not shape it).
+ A layout holds plain numbers (and `radial`, which interpolates by composition) so SolarSystem
+ can interpolate between two layouts to animate a switch (lerpScaleLayout).
+*/
+import * as THREE from 'three';
+
+export const SCALE_MODES = ['artistic', 'true-distance', 'true-size', 'logarithmic'];
+
+export const KM_PER_AU = 149597870.7;
+
+const UNITS_PER_AU = 20; // true-distance: Earth lands close to its artistic orbit
+const EARTH_RADIUS_KM = 6371; // logarithmic sizes: an Earth-sized body keeps radius 1
+const LOG_DISTANCE_SPAN = 40; // logarithmic: scene units per decade of (1 + a / LOG_DISTANCE_ZERO)
+const LOG_DISTANCE_ZERO = 0.1; // AU
+const LOG_SIZE_ZERO = 1000; // km
+
+const logRadius = (km) => Math.log10(1 + km / LOG_SIZE_ZERO) / Math.log10(1 + EARTH_RADIUS_KM / LOG_SIZE_ZERO);
+const logDistance = (au) => LOG_DISTANCE_SPAN * Math.log10(1 + au / LOG_DISTANCE_ZERO);
+
+/**
+ * Piecewise-linear interpolation through sorted [x, y] points; beyond the last point the last
+ * segment is extended.
+ * @param {Array<[number, number]>} points
+ * @returns {function(number):number}
+ */
+const piecewise = (points) => {
+    const sorted = [...points].sort((a, b) => a[0] - b[0]);
+    return (x) => {
+        let i = 1;
+        while (i < sorted.length - 1 && sorted[i][0] < x) i++;
+        const [x0, y0] = sorted[i - 1];
+        const [x1, y1] = sorted[i];
+        return y0 + ((x - x0) / (x1 - x0 || 1)) * (y1 - y0);
+    };
+};
+
+/**
+ * Scene sizes for every body of a system in one scale mode.
+ * @param {object} system - Parsed system definition (parseSystem).
+ * @param {string} mode - One of SCALE_MODES.
+ * @returns {{mode:string, star:number, bodies:Map<string, {radius:number, distance:number}>,
+ *   belts:{innerRadius:number, outerRadius:number, innerAU:number, outerAU:number}[], radial:function(number):number, extent:number, labelScale:number}}
+ *   bodies: planets and comets (scene units) and moons (parent radii), by name; a comet's distance
+ *   is its mapped semi-major axis; belts: in system.belts order (the AU extent is the same in
+ *   every mode); radial: heliocentric AU -> scene
+ *   units; extent: farthest aphelion or belt edge in scene units; labelScale: label size multiplier.
+ */
+export const computeScaleLayout = (system, mode) => {
+    const {star} = system;
+    const bodies = new Map();
+    const kmPerUnit = star.radiusKm ? star.radiusKm / star.radius : EARTH_RADIUS_KM; // true-size
+
+    const heliocentric = (au, artistic) => {
+        if (mode === 'true-distance') return au * UNITS_PER_AU;
+        if (mode === 'logarithmic') return logDistance(au);
+        return artistic;
+    };
+    const bodyRadius = (body) => {
+        if (body.radiusKm && mode === 'true-size') return body.radiusKm / kmPerUnit;
+        if (body.radiusKm && mode === 'logarithmic') return logRadius(body.radiusKm);
+        return body.radius;
+    };
+
+    // artistic distance <-> AU along the major planets' orbits
+    const orbits = [[0, 0], ...system.planets.filter((p) => !p.dwarf).map((p) => [p.distance, p.elements.a])];
+    const toAU = piecewise(orbits);
+    const toArtistic = piecewise(orbits.map(([distance, au]) => [au, distance]));
+    const radial = (au) => heliocentric(au, toArtistic(au));
+
+    system.planets.forEach((p) => {
+        bodies.set(p.name, {radius: bodyRadius(p), distance: heliocentric(p.elements.a, p.distance)});
+
+        p.moons.forEach((m) => {
+            const moon = {radius: m.radius, distance: m.distance};
+            if (p.radiusKm && m.radiusKm) {
+                if (mode === 'true-size') moon.radius = m.radiusKm / p.radiusKm;
+                if (mode === 'logarithmic') moon.radius = logRadius(m.radiusKm) / logRadius(p.radiusKm);
+            }
+            if (p.radiusKm && m.elements.a) {
+                const parentRadii = (m.elements.a * KM_PER_AU) / p.radiusKm;
+                if (mode === 'true-size') moon.distance = parentRadii;
+                if (mode === 'logarithmic') moon.distance = 1 + 2 * Math.log10(1 + parentRadii); // stays outside rings
+            }
+            bodies.set(m.name, moon);
+        });
+    });
+
+    system.comets.forEach((c) => bodies.set(c.name, {radius: bodyRadius(c), distance: radial(c.elements.a)}));
+
+    const belts = system.belts.map((belt) => {
+        const innerAU = toAU(belt.innerRadius);
+        const outerAU = toAU(belt.outerRadius);
+        return {innerRadius: heliocentric(innerAU, belt.innerRadius), outerRadius: heliocentric(outerAU, belt.outerRadius), innerAU, outerAU};
+    });
+
+    // farthest point of any orbit or belt, in this mode and in the artistic one
+    const extentOf = (distanceOf, beltRadii, cometRadial) => Math.max(
+        ...system.planets.map((p) => distanceOf(p) * (1 + (p.elements.e || 0))),
+        ...beltRadii.map((belt) => belt.outerRadius),
+        ...system.comets.map((c) => cometRadial(c.elements.a * (1 + (c.elements.e || 0))))
+    );
+    const extent = extentOf((p) => bodies.get(p.name).distance, belts, radial);
+    const artisticExtent = extentOf((p) => p.distance, system.belts, toArtistic);
+
+    return {
+        mode,
+        star: mode === 'logarithmic' && star.radiusKm ? logRadius(star.radiusKm) : star.radius,
+        bodies,
+        belts,
+        radial,
+        extent,
+        labelScale: Math.sqrt(extent / artisticExtent) // readable from the overview without crowding the inner planets
+    };
+};
+
+/**
+ * Interpolate between two layouts of the same system (k = 0 -> from, 1 -> to).
+ * @param {ReturnType<typeof computeScaleLayout>} from
+ * @param {ReturnType<typeof computeScaleLayout>} to
+ * @param {number} k
+ * @returns {ReturnType<typeof computeScaleLayout>}
+ */
+export const lerpScaleLayout = (from, to, k) => {
+    const lerp = (a, b) => THREE.MathUtils.lerp(a, b, k);
+    const bodies = new Map();
+    to.bodies.forEach((target, name) => {
+        const start = from.bodies.get(name) || target;
+        bodies.set(name, {radius: lerp(start.radius, target.radius), distance: lerp(start.distance, target.distance)});
+    });
+    return {
+        mode: k < 1 ? from.mode : to.mode,
+        star: lerp(from.star, to.star),
+        bodies,
+        belts: to.belts.map((target, i) => {
+            const start = from.belts[i] || target;
+            return {...target, innerRadius: lerp(start.innerRadius, target.innerRadius), outerRadius: lerp(start.outerRadius, target.outerRadius)};
+        }),
+        radial: (au) => lerp(from.radial(au), to.radial(au)),
+        extent: lerp(from.extent, to.extent),
+        labelScale: lerp(from.labelScale, to.labelScale)
+    };
+};
@@ -0,0 +1,86 @@
+/*
+ Click-to-select
+ ---------------
+ Raycasts pointer clicks against a list of body meshes (sun, planets, moons) and highlights
+ the picked one with a translucent back-face shell. Drags are ignored so OrbitControls keeps
+ working: a click only counts if the pointer barely moved between down and up.
+*/
+import * as THREE from 'three';
+
+const CLICK_TOLERANCE = 5; // px of pointer travel still treated as a click
+
+/**
+ * Wire click selection to a canvas.
+ * @param {{camera:THREE.Camera, domElement:HTMLElement, getTargets:function():THREE.Object3D[],
+ *   onChange?:function(THREE.Object3D|null):void, color?:number}} options
+ * @returns {{selected:THREE.Object3D|null, select:function(THREE.Object3D|null):void, dispose:function():void}}
+ */
+export const createSelection = (options) => {
+    const {camera, domElement, getTargets, onChange, color = 0x66ccff} = options;
+
+    const raycaster = new THREE.Raycaster();
+    const pointer = new THREE.Vector2();
+    const downAt = new THREE.Vector2();
+
+    // highlight shell: slightly larger sphere, back faces only, so it reads as a glow rim
+    const highlightGeo = new THREE.SphereGeometry(1, 32, 32);
+    const highlightMat = new THREE.MeshBasicMaterial({
+        color,
+        side: THREE.BackSide,
+        transparent: true,
+        opacity: 0.35,
+        depthWrite: false
+    });
+    const highlight = new THREE.Mesh(highlightGeo, highlightMat);
+    highlight.scale.setScalar(1.15); // relative to the (unit-sphere) body it is attached to
+    highlight.raycast = () => {}; // never pick the highlight itself
+
+    const state = {
+        selected: null,
+
+        // select a body mesh (or null to clear) and move the highlight onto it
+        select: (object) => {
+            if (object === state.selected) return;
+            if (highlight.parent) highlight.parent.remove(highlight);
+            state.selected = object || null;
+            if (state.selected) {
+                highlight.layers.mask = state.selected.layers.mask; // hidden along with the body
+                state.selected.add(highlight);
+            }
+            if (onChange) onChange(state.selected);
+        },
+
+        dispose: () => {
+            domElement.removeEventListener('pointerdown', handleDown);
+            domElement.removeEventListener('pointerup', handleUp);
+            if (highlight.parent) highlight.parent.remove(highlight);
+            highlightGeo.dispose();
+            highlightMat.dispose();
+        }
+    };
+
+    const handleDown = (ev) => {
+        downAt.set(ev.clientX, ev.clientY);
+    };
+
+    const handleUp = (ev) => {
+        if (ev.button !== 0) return; // primary button only
+        if (downAt.distanceTo(new THREE.Vector2(ev.clientX, ev.clientY)) > CLICK_TOLERANCE) return; // was a drag
+
+        // convert to normalized device coordinates relative to the canvas
+        const rect = domElement.getBoundingClientRect();
+        pointer.x = ((ev.clientX - rect.left) / rect.width) * 2 - 1;
+        pointer.y = -((ev.clientY - rect.top) / rect.height) * 2 + 1;
+
+        raycaster.setFromCamera(pointer, camera);
+        raycaster.layers.mask = camera.layers.mask; // bodies on hidden layers cannot be picked
+        const hits = raycaster.intersectObjects(getTargets(), false);
+        const hit = hits.find((h) => h.object.visible);
+        state.select(hit ? hit.object : null); // clicking empty space clears the selection
+    };
+
+    domElement.addEventListener('pointerdown', handleDown);
+    domElement.addEventListener('pointerup', handleUp);
+
+    return state;
+};
@@ -0,0 +1,200 @@
+/*
+ Eclipse shadows
+ ---------------
+ Analytic shadows instead of shadow maps: a single point light spread over a 100+ unit scene
+ would need enormous shadow maps to resolve a moon, so every receiving material is patched
+ (onBeforeCompile) to test the ray from each fragment to the sun against a list of occluding
+ spheres — the planets and moons, refreshed every frame. This gives:
+ - eclipses: a moon's shadow on its planet, a planet's shadow on its moons;
+ - transits: the partial dimming while a small body crosses a larger sun disk;
+ - the planet's shadow across its ring, and the ring's shadow on the planet (the ray is
+   intersected with the ring plane and the ring's radial profile gives how much light it blocks).
+ The sun is treated as a disk of radius `sunRadius` so shadows have an umbra and a soft
+ penumbra; the real (scene) star radius makes the penumbra so wide that eclipses vanish.
+ In the true-size layout moons are tens of parent radii out, so a moon's umbra reaches its
+ planet only when the moon is within about a degree of the sun line.
+ Because no shadow maps are rendered, castShadow stays off everywhere and Troika labels never
+ get a depth material assigned (their customDepthMaterial patch in labels.js is untouched).
+*/
+import * as THREE from 'three';
+
+export const MAX_OCCLUDERS = 32;
+
+const vertexHead = /* glsl */ `
+varying vec3 vEclipseWorld;
+`;
+
+const vertexBody = /* glsl */ `
+{
+    vec4 eclipseWorld = vec4(transformed, 1.0);
+    #ifdef USE_INSTANCING
+    eclipseWorld = instanceMatrix * eclipseWorld;
+    #endif
+    vEclipseWorld = (modelMatrix * eclipseWorld).xyz;
+}
+`;
+
+const fragmentHead = /* glsl */ `
+varying vec3 vEclipseWorld;
+uniform vec4 uOccluders[${MAX_OCCLUDERS}]; // xyz = world center, w = world radius
+uniform int uOccluderCount;
+uniform float uSunRadius;
+uniform float uShadowsEnabled;
+#ifdef ECLIPSE_RING
+uniform mat4 uRingInverse; // world -> ring local (ring plane is y = 0)
+uniform vec2 uRingRadii;   // inner, outer in ring local units
+uniform sampler2D uRingMap; // radial profile, alpha = coverage
+#endif
+
+// Fraction of the sun disk left visible by one sphere (0 = umbra, 1 = unobstructed)
+float eclipseSphere(vec3 p, vec4 occluder, float sunDist, vec3 sunDir) {
+    vec3 toOcc = occluder.xyz - p;
+    float occDist = length(toOcc);
+    if (occDist < occluder.w * 1.02) return 1.0; // the fragment is on this sphere: not its own shadow
+    if (occDist > sunDist) return 1.0; // behind the sun
+    float sunAng = asin(clamp(uSunRadius / sunDist, 0.0, 1.0));
+    float occAng = asin(clamp(occluder.w / occDist, 0.0, 1.0));
+    float sep = acos(clamp(dot(toOcc / occDist, sunDir), -1.0, 1.0));
+    if (sep >= sunAng + occAng) return 1.0;
+    // full overlap: total eclipse, or a transit that blocks the occluder's share of the disk
+    float covered = occAng >= sunAng ? 1.0 : (occAng * occAng) / (sunAng * sunAng);
+    float inner = abs(sunAng - occAng);
+    return 1.0 - covered * (1.0 - smoothstep(inner, sunAng + occAng, sep));
+}
+
+float eclipseLight(vec3 p) {
+    if (uShadowsEnabled < 0.5) return 1.0;
+    float sunDist = length(p);
+    vec3 sunDir = -p / max(sunDist, 1e-5); // the sun is at the origin
+    float light = 1.0;
+    for (int i = 0; i < ${MAX_OCCLUDERS}; i++) {
+        if (i >= uOccluderCount) break;
+        light *= eclipseSphere(p, uOccluders[i], sunDist, sunDir);
+    }
+    #ifdef ECLIPSE_RING
+    // where does the ray to the sun cross the ring plane?
+    vec3 lp = (uRingInverse * vec4(p, 1.0)).xyz;
+    vec3 ls = (uRingInverse * vec4(0.0, 0.0, 0.0, 1.0)).xyz;
+    float denom = ls.y - lp.y;
+    if (abs(denom) > 1e-6) {
+        float t = -lp.y / denom;
+        if (t > 0.0 && t < 1.0) {
+            float r = length((lp + (ls - lp) * t).xz);
+            float u = (r - uRingRadii.x) / (uRingRadii.y - uRingRadii.x);
+            if (u >= 0.0 && u <= 1.0) light *= 1.0 - texture2D(uRingMap, vec2(u, 0.5)).a;
+        }
+    }
+    #endif
+    return light;
+}
+`;
+
+const fragmentBody = /* glsl */ `
+{
+    float eclipse = eclipseLight(vEclipseWorld);
+    reflectedLight.directDiffuse *= eclipse; // only sunlight is blocked; ambient stays
+    reflectedLight.directSpecular *= eclipse;
+}
+`;
+
+/**
+ * Shared occluder list and the material patch that reads it.
+ * @param {{sunRadius?:number, enabled?:boolean}} [options]
+ *   sunRadius: radius of the light disk used for penumbrae (scene units).
+ * @returns {{uniforms:object, patch:function(THREE.Material, {ring?:boolean}=):void,
+ *   setRing:function(THREE.Material, THREE.Object3D, number, number, THREE.Texture):void,
+ *   update:function(THREE.Object3D[], THREE.Material[]=):void, setEnabled:function(boolean):void,
+ *   setSunRadius:function(number):void}}
+ */
+export const createEclipseShadows = ({sunRadius = 0.25, enabled = true} = {}) => {
+    const uniforms = {
+        uOccluders: {value: Array.from({length: MAX_OCCLUDERS}, () => new THREE.Vector4())},
+        uOccluderCount: {value: 0},
+        uSunRadius: {value: sunRadius},
+        uShadowsEnabled: {value: enabled ? 1 : 0}
+    };
+    const scratch = new THREE.Vector3();
+    const scale = new THREE.Vector3();
+
+    return {
+        uniforms,
+
+        /**
+         * Make a lit material receive eclipse shadows. With `ring`, it also receives the shadow of
+         * the ring set later through setRing().
+         * @param {THREE.Material} material - MeshStandardMaterial (or another lit built-in material).
+         * @param {{ring?:boolean}} [options]
+         */
+        patch: (material, {ring = false} = {}) => {
+            if (material.userData.eclipse) return; // shared materials are patched once
+            const ringUniforms = {
+                uRingInverse: {value: new THREE.Matrix4()},
+                uRingRadii: {value: new THREE.Vector2(1, 2)},
+                uRingMap: {value: null}
+            };
+            material.userData.eclipse = {ring, ringUniforms};
+            if (ring) material.defines = {...material.defines, ECLIPSE_RING: ''};
+
+            // chain onto an existing patch (e.g. a surface model's shader) instead of replacing it
+            const previousCompile = material.onBeforeCompile;
+            const previousKey = material.customProgramCacheKey.bind(material);
+            material.onBeforeCompile = (shader, renderer) => {
+                previousCompile.call(material, shader, renderer);
+                Object.assign(shader.uniforms, uniforms, ring ? ringUniforms : {});
+                shader.vertexShader = vertexHead + shader.vertexShader
+                    .replace('#include <project_vertex>', `#include <project_vertex>\n${vertexBody}`);
+                shader.fragmentShader = fragmentHead + shader.fragmentShader
+                    .replace('#include <lights_fragment_end>', `#include <lights_fragment_end>\n${fragmentBody}`);
+            };
+            material.customProgramCacheKey = () => `${previousKey()}|${ring ? 'eclipse-ring' : 'eclipse'}`;
+            material.needsUpdate = true;
+        },
+
+        /**
+         * Point a ring-receiving material at the ring that shadows it.
+         * @param {THREE.Material} material - A material patched with {ring: true}.
+         * @param {THREE.Object3D} ringObject - Object whose local XZ plane is the ring plane.
+         * @param {number} inner - Inner radius in ringObject's local units.
+         * @param {number} outer - Outer radius in ringObject's local units.
+         * @param {THREE.Texture} map - Radial profile (alpha = how much light the ring blocks).
+         */
+        setRing: (material, ringObject, inner, outer, map) => {
+            const eclipse = material.userData.eclipse;
+            if (!eclipse || !eclipse.ring) return;
+            eclipse.ringUniforms.uRingRadii.value.set(inner, outer);
+            eclipse.ringUniforms.uRingMap.value = map;
+            eclipse.ringObject = ringObject;
+        },
+
+        /**
+         * Refresh occluder spheres and ring matrices; call once per frame after bodies moved.
+         * @param {THREE.Object3D[]} occluders - Sphere meshes (unit geometry scaled to their radius).
+         * @param {THREE.Material[]} ringReceivers - Materials patched with {ring: true}.
+         */
+        update: (occluders, ringReceivers = []) => {
+            const count = Math.min(occluders.length, MAX_OCCLUDERS);
+            for (let i = 0; i < count; i++) {
+                const mesh = occluders[i];
+                mesh.getWorldPosition(scratch);
+                const radius = mesh.getWorldScale(scale).x; // unit spheres: world scale = world radius
+                uniforms.uOccluders.value[i].set(scratch.x, scratch.y, scratch.z, radius);
+            }
+            uniforms.uOccluderCount.value = count;
+
+            ringReceivers.forEach((material) => {
+                const eclipse = material.userData.eclipse;
+                if (eclipse && eclipse.ringObject) eclipse.ringUniforms.uRingInverse.value.copy(eclipse.ringObject.matrixWorld).invert();
+            });
+        },
+
+        /** Turn shadows on/off without recompiling. */
+        setEnabled: (on) => {
+            uniforms.uShadowsEnabled.value = on ? 1 : 0;
+        },
+
+        /** Radius of the light disk (bigger = softer, smaller umbrae). */
+        setSunRadius: (radius) => {
+            uniforms.uSunRadius.value = radius;
+        }
+    };
+};
@@ -0,0 +1,91 @@
+/*
+ Simulation clock
+ ----------------
+ Keeps the absolute moment the scene shows (a Julian date) and advances it from real frame
+ time. Playback can be paused or reversed, and the base rate is one of a few presets
+ ("1 s = 1 hour/day/year") multiplied by a free time scale. Jumps (setDate/setJulianDate)
+ notify listeners so anything that accumulates history can reset itself.
+*/
+import {dateToJulian, julianToDate} from './kepler.js';
+
+// Preset playback rates in simulated days per real second
+export const TIME_RATES = {
+    hour: 1 / 24, // 1 s = 1 hour
+    day: 1,       // 1 s = 1 day
+    year: 365.25  // 1 s = 1 year
+};
+
+/**
+ * Create a simulation clock.
+ * @param {{date?:Date, rate?:number, scale?:number, paused?:boolean, reversed?:boolean}} [options]
+ * @returns {{jd:number, rate:number, scale:number, paused:boolean, reversed:boolean,
+ *   daysPerSecond:function():number, tick:function(number):number, setJulianDate:function(number):void,
+ *   setDate:function(Date):void, getDate:function():Date, onJump:function(function(number):void):function():void}}
+ */
+export const createSimClock = (options = {}) => {
+    const listeners = new Set(); // jump listeners
+
+    const clock = {
+        jd: dateToJulian(options.date ?? new Date()), // current simulation Julian date
+        rate: options.rate ?? TIME_RATES.hour,        // base days per real second
+        scale: options.scale ?? 1,                    // extra multiplier (UI "Time Scale")
+        paused: !!options.paused,
+        reversed: !!options.reversed,
+
+        // signed simulated days per real second, 0 while paused
+        daysPerSecond: () => {
+            if (clock.paused) return 0;
+            return clock.rate * clock.scale * (clock.reversed ? -1 : 1);
+        },
+
+        // advance by a real-time delta (seconds) and return the new Julian date
+        tick: (dt) => {
+            clock.jd += dt * clock.daysPerSecond();
+            return clock.jd;
+        },
+
+        // jump to an instant; listeners get the new Julian date
+        setJulianDate: (jd) => {
+            if (!Number.isFinite(jd)) return;
+            clock.jd = jd;
+            listeners.forEach((fn) => fn(jd));
+        },
+
+        setDate: (date) => clock.setJulianDate(dateToJulian(date)),
+
+        getDate: () => julianToDate(clock.jd),
+
+        onJump: (fn) => {
+            listeners.add(fn);
+            return () => listeners.delete(fn);
+        }
+    };
+
+    return clock;
+};
+
+/**
+ * Format a Julian date for display, e.g. "2026-10-19 14:05 UTC".
+ * @param {number} jd
+ * @returns {string}
+ */
+export const formatSimDate = (jd) => {
+    const date = julianToDate(jd);
+    if (Number.isNaN(date.getTime())) return '—';
+    return date.toISOString().slice(0, 16).replace('T', ' ') + ' UTC';
+};
+
+/**
+ * Parse a user-typed date. Accepts anything Date understands; bare "YYYY-MM-DD[ HH:mm]"
+ * values are read as UTC to match formatSimDate().
+ * @param {string} text
+ * @returns {Date|null} null when the text is not a valid date.
+ */
+export const parseSimDate = (text) => {
+    if (typeof text !== 'string' || !text.trim()) return null;
+    let value = text.trim().replace(/\s*UTC$/i, '');
+    const bare = /^\d{4}-\d{2}-\d{2}(?:[ T]\d{2}:\d{2}(?::\d{2})?)?$/.test(value);
+    if (bare) value = value.replace(' ', 'T') + (value.length === 10 ? 'T00:00Z' : 'Z');
+    const date = new Date(value);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
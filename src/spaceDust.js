@@ -0,0 +1,123 @@
+/*
+ Space dust
+ ----------
+ Near-camera floating rocks using InstancedMesh (fast + 3D look). The pebbles live in camera
+ space (parented to the camera) inside a box in front of it. With an orbiting camera they drift
+ toward the viewer for a gentle "flying through space" feel; in free flight they are moved by the
+ camera's real motion instead. Pebbles leaving the box are recycled on its opposite side.
+*/
+import * as THREE from 'three';
+
+// --- Space Dust: create near-camera points ---
+// === createSpacePebbles(camera, opts) ===
+/**
+ * @param {THREE.Camera} camera - Camera to parent the pebbles to.
+ * @param {{count:number, spread:number, near?:number, far?:number, minScale:number, maxScale:number,
+ *   rotSpeed?:number, map?:THREE.Texture}} opts
+ */
+export const createSpacePebbles = (camera, opts) => {
+    const count = opts.count;
+    const spread = opts.spread; // x/y box half-extent * 2
+    const near = opts.near ?? 2;   // closest z (camera space, positive forward means we place at negative)
+    const far = opts.far ?? 60;  // farthest z (more negative)
+    const sMin = opts.minScale;
+    const sMax = opts.maxScale;
+
+    // Low-poly rock geometry; textured with the system's dust texture
+    const geo = new THREE.IcosahedronGeometry(1, 0);
+    const mat = new THREE.MeshStandardMaterial({
+        map: opts.map ?? null,
+        roughness: 0.95,
+        metalness: 0.03
+    });
+
+    const inst = new THREE.InstancedMesh(geo, mat, count);
+    inst.instanceMatrix.setUsage(THREE.DynamicDrawUsage);
+
+    // Per-instance state we’ll update each frame
+    const pos = new Array(count);          // THREE.Vector3 for camera-local position
+    const scale = new Array(count);        // number (uniform scale)
+    const rotAxis = new Array(count);      // THREE.Vector3 axis
+    const rotSpeed = new Array(count);     // number (rad/sec)
+    const rotAngle = new Float32Array(count);
+
+    const rnd = (a, b) => a + Math.random() * (b - a);
+
+    for (let i = 0; i < count; i++) {
+        pos[i] = new THREE.Vector3(
+            rnd(-spread * 0.5, spread * 0.5),
+            rnd(-spread * 0.5, spread * 0.5),
+            -near - Math.random() * (far - near)   // negative z = in front of camera
+        );
+        scale[i] = rnd(sMin, sMax);
+        rotAxis[i] = new THREE.Vector3(Math.random(), Math.random(), Math.random()).normalize();
+        rotSpeed[i] = rnd(0.3, opts.rotSpeed || 1.2);
+        rotAngle[i] = Math.random() * Math.PI * 2;
+
+        const dummy = new THREE.Object3D();
+        dummy.position.copy(pos[i]);
+        dummy.quaternion.setFromAxisAngle(rotAxis[i], rotAngle[i]);
+        dummy.scale.set(scale[i], scale[i], scale[i]);
+        dummy.updateMatrix();
+        inst.setMatrixAt(i, dummy.matrix);
+    }
+
+    // Parent to camera so they feel "near"
+    camera.add(inst);
+
+    return {
+        inst, pos, scale, rotAxis, rotSpeed, rotAngle,
+        spread, near, far, sMin, sMax,
+        dispose: () => {
+            camera.remove(inst);
+            geo.dispose();
+            mat.dispose();
+        }
+    };
+};
+
+const dummy = new THREE.Object3D(); // scratch object for matrix composition
+
+// wrap v into [min, max) (one box length per pass, any number of passes)
+const wrap = (v, min, max) => min + ((((v - min) % (max - min)) + (max - min)) % (max - min));
+
+/**
+ * Advance the pebbles: move them by `move` (camera space), spin them by `dt` seconds and recycle
+ * the ones that leave the box on the opposite side. Drifting toward the viewer is
+ * move = (0, 0, distance); a camera that really moves passes the inverse of its own displacement
+ * and rotation, so the pebbles stay put in the world and stream past at its actual velocity.
+ * @param {ReturnType<typeof createSpacePebbles>} dustObj
+ * @param {number} dt - Real seconds since the last frame.
+ * @param {THREE.Vector3} move - Displacement of the pebbles in camera space this frame.
+ * @param {THREE.Quaternion} [turn] - Rotation of the pebbles in camera space (before the move).
+ */
+export const updateSpacePebbles = (dustObj, dt, move, turn) => {
+    const half = dustObj.spread / 2;
+    for (let i = 0; i < dustObj.pos.length; i++) {
+        const p = dustObj.pos[i];
+        if (turn) p.applyQuaternion(turn);
+        p.add(move);
+
+        // Recycle through the far/near end with a fresh x/y (no visible repeating pattern) ...
+        if (p.z > -dustObj.near || p.z < -dustObj.far) {
+            p.z = wrap(p.z, -dustObj.far, -dustObj.near);
+            p.x = (Math.random() - 0.5) * dustObj.spread;
+            p.y = (Math.random() - 0.5) * dustObj.spread;
+        }
+        // ... and through the sides onto the opposite side
+        if (p.x < -half || p.x >= half) p.x = wrap(p.x, -half, half);
+        if (p.y < -half || p.y >= half) p.y = wrap(p.y, -half, half);
+
+        // Spin the rock
+        dustObj.rotAngle[i] += dustObj.rotSpeed[i] * dt;
+
+        // Write transform
+        dummy.position.copy(p);
+        dummy.quaternion.setFromAxisAngle(dustObj.rotAxis[i], dustObj.rotAngle[i]);
+        const s = dustObj.scale[i];
+        dummy.scale.set(s, s, s);
+        dummy.updateMatrix();
+        dustObj.inst.setMatrixAt(i, dummy.matrix);
+    }
+    dustObj.inst.instanceMatrix.needsUpdate = true;
+};
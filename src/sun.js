@@ -0,0 +1,174 @@
+/*
+ Sun
+ ---
+ Animated star surface and corona:
+ - Surface: the star texture modulated by drifting 3D noise (granulation), darkened toward the
+   limb with the linear limb-darkening law I(mu) = 1 - u * (1 - mu), and pushed above 1.0 so the
+   bloom pass (postprocessing.js) picks it up.
+ - Corona: a camera-facing quad around the star with a radial falloff and slowly evolving
+   streamers; additive, so it brightens the background without hiding anything.
+ Both are driven by real time (updateSun), not by the simulation clock, so the sun keeps
+ boiling while the simulation is paused.
+*/
+import * as THREE from 'three';
+
+// compact 3D value noise + fBm shared by both shaders
+const noiseChunk = /* glsl */ `
+float sunHash(vec3 p) {
+    p = fract(p * 0.3183099 + 0.1);
+    p *= 17.0;
+    return fract(p.x * p.y * p.z * (p.x + p.y + p.z));
+}
+float sunNoise(vec3 x) {
+    vec3 i = floor(x);
+    vec3 f = fract(x);
+    f = f * f * (3.0 - 2.0 * f);
+    return mix(
+        mix(mix(sunHash(i), sunHash(i + vec3(1, 0, 0)), f.x), mix(sunHash(i + vec3(0, 1, 0)), sunHash(i + vec3(1, 1, 0)), f.x), f.y),
+        mix(mix(sunHash(i + vec3(0, 0, 1)), sunHash(i + vec3(1, 0, 1)), f.x), mix(sunHash(i + vec3(0, 1, 1)), sunHash(i + vec3(1, 1, 1)), f.x), f.y),
+        f.z
+    );
+}
+float sunFbm(vec3 p) {
+    float sum = 0.0, amp = 0.5;
+    for (int i = 0; i < 4; i++) {
+        sum += sunNoise(p) * amp;
+        p *= 2.03;
+        amp *= 0.5;
+    }
+    return sum;
+}
+`;
+
+const surfaceVertex = /* glsl */ `
+varying vec2 vUv;
+varying vec3 vLocal;
+varying vec3 vWorldNormal;
+varying vec3 vWorldPos;
+void main() {
+    vUv = uv;
+    vLocal = position;
+    vec4 world = modelMatrix * vec4(position, 1.0);
+    vWorldPos = world.xyz;
+    vWorldNormal = normalize(mat3(modelMatrix) * normal);
+    gl_Position = projectionMatrix * viewMatrix * world;
+}
+`;
+
+const surfaceFragment = /* glsl */ `
+uniform sampler2D uMap;
+uniform float uHasMap;
+uniform vec3 uColor;
+uniform float uTime;
+uniform float uIntensity;
+uniform float uLimbDarkening;
+varying vec2 vUv;
+varying vec3 vLocal;
+varying vec3 vWorldNormal;
+varying vec3 vWorldPos;
+${noiseChunk}
+void main() {
+    vec3 base = uHasMap > 0.5 ? texture2D(uMap, vUv).rgb : vec3(1.0, 0.75, 0.35);
+    // granulation: two noise layers drifting against each other
+    float cells = sunFbm(vLocal * 9.0 + vec3(0.0, uTime * 0.05, uTime * 0.03));
+    float churn = sunFbm(vLocal * 3.0 - vec3(uTime * 0.02));
+    float granulation = 0.75 + 0.45 * cells + 0.2 * (churn - 0.5);
+    // limb darkening: mu = cos(angle between the surface normal and the line of sight)
+    float mu = clamp(dot(normalize(vWorldNormal), normalize(cameraPosition - vWorldPos)), 0.0, 1.0);
+    float limb = 1.0 - uLimbDarkening * (1.0 - mu);
+    gl_FragColor = vec4(base * uColor * granulation * limb * uIntensity, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+const coronaVertex = /* glsl */ `
+varying vec2 vUv;
+void main() {
+    vUv = uv;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const coronaFragment = /* glsl */ `
+uniform vec3 uColor;
+uniform float uTime;
+uniform float uExtent; // quad half-size in star radii
+varying vec2 vUv;
+${noiseChunk}
+void main() {
+    vec2 p = (vUv - 0.5) * 2.0 * uExtent; // star radii from the center
+    float r = length(p);
+    if (r < 0.98) discard; // the surface shader draws the disk
+    float angle = atan(p.y, p.x);
+    // streamers: angular noise that slowly evolves and flows outward
+    float streak = sunFbm(vec3(cos(angle) * 3.0, sin(angle) * 3.0, uTime * 0.05 - r * 0.15));
+    float glow = exp(-(r - 1.0) * 2.2);
+    float rays = exp(-(r - 1.0) * (1.1 - streak * 0.6)) * smoothstep(0.45, 0.8, streak);
+    float strength = glow * 0.9 + rays * 0.6;
+    strength *= smoothstep(uExtent, uExtent * 0.7, r); // fade before the quad's edge
+    gl_FragColor = vec4(uColor * strength, 1.0);
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Build the animated sun: a surface material for the star mesh and a corona quad to add next to it.
+ * @param {{map?:THREE.Texture|null, color?:string|number, intensity?:number, limbDarkening?:number,
+ *   coronaColor?:string|number, coronaExtent?:number}} [options]
+ *   intensity: surface brightness (> 1 feeds the bloom); coronaExtent: corona size in star radii.
+ * @returns {{material:THREE.ShaderMaterial, corona:THREE.Mesh}}
+ */
+export const createSun = ({
+    map = null,
+    color = 0xffffff,
+    intensity = 1.6,
+    limbDarkening = 0.6,
+    coronaColor = 0xffb347,
+    coronaExtent = 3
+} = {}) => {
+    const time = {value: 0}; // shared by both shaders
+    const material = new THREE.ShaderMaterial({
+        vertexShader: surfaceVertex,
+        fragmentShader: surfaceFragment,
+        uniforms: {
+            uMap: {value: map},
+            uHasMap: {value: map ? 1 : 0},
+            uColor: {value: new THREE.Color(color)},
+            uTime: time,
+            uIntensity: {value: intensity},
+            uLimbDarkening: {value: limbDarkening}
+        }
+    });
+
+    const corona = new THREE.Mesh(
+        new THREE.PlaneGeometry(2 * coronaExtent, 2 * coronaExtent),
+        new THREE.ShaderMaterial({
+            vertexShader: coronaVertex,
+            fragmentShader: coronaFragment,
+            uniforms: {
+                uColor: {value: new THREE.Color(coronaColor)},
+                uTime: time,
+                uExtent: {value: coronaExtent}
+            },
+            transparent: true,
+            blending: THREE.AdditiveBlending,
+            depthWrite: false
+        })
+    );
+    corona.name = 'corona';
+    corona.userData.time = time;
+    return {material, corona};
+};
+
+/**
+ * Advance the sun animation and turn the corona toward the camera.
+ * @param {THREE.Mesh} corona - From createSun (positioned/scaled like the star).
+ * @param {THREE.Camera} camera
+ * @param {number} dt - Real seconds since the last frame.
+ */
+export const updateSun = (corona, camera, dt) => {
+    corona.userData.time.value += dt;
+    corona.quaternion.copy(camera.quaternion); // billboard
+};
@@ -0,0 +1,180 @@
+/*
+ Surface models
+ --------------
+ Optional layered materials for bodies that need more than one texture on a standard material.
+ A body opts in from its definition with `surface: {model: '<name>', ...settings}`; the factory
+ registered under that name builds:
+ - material : the planet mesh's material (buildPlanetWithTilt uses it instead of the default);
+ - layers   : extra meshes parented to the planet mesh (cloud decks, haze...);
+ - update(jd): per-frame hook driven by the simulation date, so layers move coherently when the
+   clock is paused, reversed or jumps.
+ 'earth' is the first model: day map with a night-side city-lights texture blended at the
+ terminator, a cloud layer drifting relative to the ground, oceans with a specular mask and a
+ Fresnel atmosphere rim. Venus clouds or Mars polar caps can be added with registerSurfaceModel().
+*/
+import * as THREE from 'three';
+import {J2000} from './kepler.js';
+
+const surfaceModels = new Map();
+
+/**
+ * Register a surface model factory.
+ * @param {string} name - Value of `surface.model` in a body definition.
+ * @param {function(object, object, object):{material:THREE.Material, layers?:THREE.Object3D[], update?:function(number):void}} factory
+ *   factory(settings, body, context): settings is the body's `surface` block; context is
+ *   {textures, fallbackFor, segments} (texture cache, procedural fallback lookup, sphere segments).
+ */
+export const registerSurfaceModel = (name, factory) => {
+    surfaceModels.set(name, factory);
+};
+
+/** @param {string} name @returns {boolean} */
+export const hasSurfaceModel = (name) => surfaceModels.has(name);
+
+/**
+ * Build the surface model a body asks for, or null when it has none.
+ * @param {{surface?:{model:string}}} body
+ * @param {{textures:object, fallbackFor:function(object, string):object, segments:number}} context
+ * @returns {{material:THREE.Material, layers:THREE.Object3D[], update:function(number):void}|null}
+ */
+export const createSurfaceModel = (body, context) => {
+    if (!body.surface) return null;
+    const factory = surfaceModels.get(body.surface.model);
+    if (!factory) {
+        console.warn(`Unknown surface model "${body.surface.model}" for ${body.name}`);
+        return null;
+    }
+    const model = factory(body.surface, body, context);
+    return {layers: [], update: () => {}, ...model};
+};
+
+/*
+ Earth
+ -----
+ Patches MeshStandardMaterial so it keeps three's lighting (and the eclipse patch from
+ shadows.js, which chains onto this one):
+ - night side: emissive city lights fade in where the sun is below the horizon;
+ - oceans: low roughness where the specular mask is bright (or, without a mask, where the day
+   map is bluer than it is red) so the sun glints off the water;
+ - rim: a Fresnel glow toward the limb, strongest on the day side.
+*/
+const earthVertexHead = /* glsl */ `
+varying vec3 vSurfaceWorldPos;
+varying vec3 vSurfaceWorldNormal;
+`;
+
+const earthVertexBody = /* glsl */ `
+vSurfaceWorldPos = (modelMatrix * vec4(transformed, 1.0)).xyz;
+vSurfaceWorldNormal = normalize(mat3(modelMatrix) * objectNormal);
+`;
+
+const earthFragmentHead = /* glsl */ `
+varying vec3 vSurfaceWorldPos;
+varying vec3 vSurfaceWorldNormal;
+uniform sampler2D uNightMap;
+uniform sampler2D uSpecularMap;
+uniform float uHasSpecularMap;
+uniform float uNightIntensity;
+uniform float uOceanRoughness;
+uniform vec3 uRimColor;
+uniform float uRimIntensity;
+#ifndef USE_MAP
+#define vMapUv vec2(0.0) // untextured body: masks read one texel
+#endif
+
+// 1 on the day side, 0 on the night side, soft across the terminator (the sun is at the origin)
+float surfaceDaylight() {
+    float sunCos = dot(normalize(vSurfaceWorldNormal), normalize(-vSurfaceWorldPos));
+    return smoothstep(-0.15, 0.12, sunCos);
+}
+`;
+
+const earthRoughness = /* glsl */ `
+#include <roughnessmap_fragment>
+{
+    float ocean = uHasSpecularMap > 0.5
+        ? texture2D(uSpecularMap, vMapUv).r
+        : smoothstep(0.02, 0.12, diffuseColor.b - diffuseColor.r);
+    roughnessFactor = mix(roughnessFactor, uOceanRoughness, ocean);
+}
+`;
+
+const earthEmissive = /* glsl */ `
+#include <emissivemap_fragment>
+{
+    vec3 cityLights = texture2D(uNightMap, vMapUv).rgb;
+    totalEmissiveRadiance += cityLights * uNightIntensity * (1.0 - surfaceDaylight());
+}
+`;
+
+const earthRim = /* glsl */ `
+{
+    float fresnel = pow(1.0 - clamp(dot(normal, normalize(vViewPosition)), 0.0, 1.0), 3.0);
+    outgoingLight += uRimColor * fresnel * uRimIntensity * (0.25 + 0.75 * surfaceDaylight());
+}
+#include <opaque_fragment>
+`;
+
+registerSurfaceModel('earth', (settings, body, {textures, fallbackFor, segments}) => {
+    const {
+        nightTexture,
+        cloudTexture,
+        specularTexture,
+        nightIntensity = 1.2,
+        oceanRoughness = 0.25,
+        rimColor = '#6fb6ff',
+        rimIntensity = 0.6,
+        cloudOpacity = 0.9,
+        cloudDriftPeriod = 25 // days for the clouds to lap the ground once
+    } = settings;
+
+    const material = new THREE.MeshStandardMaterial({
+        map: textures.load(body.texture, fallbackFor(body, 'planet')),
+        roughness: 0.85,
+        metalness: 0,
+        ...(body.material || {})
+    });
+    const uniforms = {
+        uNightMap: {value: textures.load(nightTexture, {type: 'lights', color: 0xffcc88, seed: `${body.name}-night`})},
+        uSpecularMap: {value: textures.load(specularTexture)},
+        uHasSpecularMap: {value: specularTexture ? 1 : 0},
+        uNightIntensity: {value: nightIntensity},
+        uOceanRoughness: {value: oceanRoughness},
+        uRimColor: {value: new THREE.Color(rimColor)},
+        uRimIntensity: {value: rimIntensity}
+    };
+    material.onBeforeCompile = (shader) => {
+        Object.assign(shader.uniforms, uniforms);
+        shader.vertexShader = earthVertexHead + shader.vertexShader
+            .replace('#include <project_vertex>', `#include <project_vertex>\n${earthVertexBody}`);
+        shader.fragmentShader = earthFragmentHead + shader.fragmentShader
+            .replace('#include <roughnessmap_fragment>', earthRoughness)
+            .replace('#include <emissivemap_fragment>', earthEmissive)
+            .replace('#include <opaque_fragment>', earthRim);
+    };
+    material.customProgramCacheKey = () => 'surface-earth';
+
+    // Clouds: slightly larger sphere on the planet mesh, turning with the ground plus a slow drift
+    const clouds = new THREE.Mesh(
+        new THREE.SphereGeometry(1, segments, segments),
+        new THREE.MeshStandardMaterial({
+            color: 0xffffff,
+            alphaMap: textures.load(cloudTexture, {type: 'clouds', color: 0xffffff, seed: `${body.name}-clouds`}),
+            transparent: true,
+            opacity: cloudOpacity,
+            depthWrite: false,
+            roughness: 1
+        })
+    );
+    clouds.name = `${body.name}-clouds`;
+    clouds.scale.setScalar(1.012);
+    clouds.userData.surfaceLayer = true; // reshaped with the planet by quality changes
+
+    return {
+        material,
+        layers: [clouds],
+        update: (jd) => {
+            clouds.rotation.y = (((jd - J2000) / cloudDriftPeriod) % 1) * Math.PI * 2;
+        }
+    };
+});
@@ -0,0 +1,422 @@
+/*
+ System definition loader
+ ------------------------
+ A planetary system (star, planets, moons, rings, belts, comets, textures and visual parameters) is
+ described by a JSON file following systems/system.schema.json; systems/solar-system.json is
+ the bundled default. validateSystem() checks a parsed definition and reports every problem
+ with its JSON path, so a malformed file produces a readable list of errors instead of a
+ half-built scene. Building the scene from a valid definition happens in SolarSystem.js through
+ buildPlanetWithTilt, createPlanetRing and createAsteroidBelt (bodies.js) and createComet (comets.js).
+*/
+import {SURFACE_TYPES} from './proceduralTextures.js';
+import {hasSurfaceModel} from './surfaceModels.js';
+
+/**
+ * Thrown when a system definition fails validation; `errors` lists "path: message" strings.
+ */
+export class SystemValidationError extends Error {
+    /**
+     * @param {string} source - Where the definition came from (URL or "bundled").
+     * @param {string[]} errors
+     */
+    constructor(source, errors) {
+        super(`Invalid system definition (${source}):\n- ${errors.join('\n- ')}`);
+        this.name = 'SystemValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+// --- small type checks used by the validator ---
+const isObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isNumber = (v) => typeof v === 'number' && Number.isFinite(v);
+const isString = (v) => typeof v === 'string' && v.length > 0;
+const isColor = (v) => (typeof v === 'string' && /^#[0-9a-f]{6}$/i.test(v)) || (Number.isInteger(v) && v >= 0 && v <= 0xffffff);
+
+/**
+ * Collects errors while walking a definition (also used for tour files, tours.js).
+ * Each rule takes the value, its path, and returns nothing; failures are pushed to `errors`.
+ */
+export const createChecker = () => {
+    const errors = [];
+    const check = {
+        errors,
+        fail: (path, message) => errors.push(`${path}: ${message}`),
+        required: (obj, key, path) => {
+            if (obj[key] === undefined) {
+                check.fail(`${path}.${key}`, 'is required');
+                return false;
+            }
+            return true;
+        },
+        string: (obj, key, path, required = false) => {
+            if (obj[key] === undefined) return required ? check.required(obj, key, path) : true;
+            if (!isString(obj[key])) check.fail(`${path}.${key}`, 'must be a non-empty string');
+        },
+        number: (obj, key, path, {required = false, min, max, exclusiveMin, exclusiveMax, nonZero} = {}) => {
+            const v = obj[key];
+            if (v === undefined) return required ? check.required(obj, key, path) : true;
+            const at = `${path}.${key}`;
+            if (!isNumber(v)) return check.fail(at, 'must be a finite number');
+            if (min !== undefined && v < min) check.fail(at, `must be >= ${min} (got ${v})`);
+            if (max !== undefined && v > max) check.fail(at, `must be <= ${max} (got ${v})`);
+            if (exclusiveMin !== undefined && v <= exclusiveMin) check.fail(at, `must be > ${exclusiveMin} (got ${v})`);
+            if (exclusiveMax !== undefined && v >= exclusiveMax) check.fail(at, `must be < ${exclusiveMax} (got ${v})`);
+            if (nonZero && v === 0) check.fail(at, 'must not be 0');
+        },
+        integer: (obj, key, path, {required = false, min = 0} = {}) => {
+            const v = obj[key];
+            if (v === undefined) return required ? check.required(obj, key, path) : true;
+            if (!Number.isInteger(v) || v < min) check.fail(`${path}.${key}`, `must be an integer >= ${min}`);
+        },
+        color: (obj, key, path) => {
+            if (obj[key] !== undefined && !isColor(obj[key])) check.fail(`${path}.${key}`, 'must be a "#rrggbb" string or 0xRRGGBB number');
+        },
+        array: (obj, key, path, required = false) => {
+            if (obj[key] === undefined) return required ? check.required(obj, key, path) && false : false;
+            if (!Array.isArray(obj[key])) {
+                check.fail(`${path}.${key}`, 'must be an array');
+                return false;
+            }
+            return true;
+        },
+        object: (obj, key, path, required = false) => {
+            if (obj[key] === undefined) return required ? check.required(obj, key, path) && false : false;
+            if (!isObject(obj[key])) {
+                check.fail(`${path}.${key}`, 'must be an object');
+                return false;
+            }
+            return true;
+        }
+    };
+    return check;
+};
+
+// Keplerian elements block shared by planets and moons; `frame` says what i/node/peri are measured
+// from: the parent's equator (default for moons) or the ecliptic
+const ELEMENT_FRAMES = ['parent', 'ecliptic'];
+const validateElements = (check, body, path, {needsA}) => {
+    if (!check.object(body, 'elements', path, true)) return;
+    const el = body.elements;
+    const at = `${path}.elements`;
+    check.number(el, 'a', at, {required: needsA, exclusiveMin: 0});
+    check.number(el, 'e', at, {min: 0, exclusiveMax: 1});
+    ['i', 'node', 'peri', 'M0', 'epoch', 'nodeRate', 'periRate'].forEach((key) => check.number(el, key, at));
+    check.number(el, 'period', at, {required: true, nonZero: true});
+    if (el.frame !== undefined && !ELEMENT_FRAMES.includes(el.frame)) {
+        check.fail(`${at}.frame`, `must be one of ${ELEMENT_FRAMES.map((f) => `"${f}"`).join(', ')}`);
+    }
+};
+
+const validateMaterial = (check, owner, path) => {
+    if (!check.object(owner, 'material', path)) return;
+    const at = `${path}.material`;
+    check.number(owner.material, 'roughness', at, {min: 0, max: 1});
+    check.number(owner.material, 'metalness', at, {min: 0, max: 1});
+    check.color(owner.material, 'color', at);
+};
+
+const validateFallback = (check, owner, path) => {
+    if (!check.object(owner, 'fallback', path)) return;
+    const at = `${path}.fallback`;
+    if (owner.fallback.type !== undefined && !SURFACE_TYPES.includes(owner.fallback.type)) {
+        check.fail(`${at}.type`, `must be one of ${SURFACE_TYPES.map((t) => `"${t}"`).join(', ')}`);
+    }
+    check.color(owner.fallback, 'color', at);
+};
+
+// Layered surface block (surfaceModels.js)
+const validateSurface = (check, owner, path) => {
+    if (!check.object(owner, 'surface', path)) return;
+    const surface = owner.surface;
+    const at = `${path}.surface`;
+    if (check.required(surface, 'model', at)) {
+        if (!isString(surface.model)) check.fail(`${at}.model`, 'must be a non-empty string');
+        else if (!hasSurfaceModel(surface.model)) check.fail(`${at}.model`, `unknown surface model "${surface.model}"`);
+    }
+    ['nightTexture', 'cloudTexture', 'specularTexture'].forEach((key) => check.string(surface, key, at));
+    ['nightIntensity', 'oceanRoughness', 'rimIntensity'].forEach((key) => check.number(surface, key, at, {min: 0}));
+    check.number(surface, 'cloudOpacity', at, {min: 0, max: 1});
+    check.number(surface, 'cloudDriftPeriod', at, {nonZero: true});
+    check.color(surface, 'rimColor', at);
+};
+
+const validateAtmosphere = (check, owner, path) => {
+    if (!check.object(owner, 'atmosphere', path)) return;
+    const at = `${path}.atmosphere`;
+    check.color(owner.atmosphere, 'color', at);
+    check.number(owner.atmosphere, 'thickness', at, {exclusiveMin: 0, max: 1});
+    check.number(owner.atmosphere, 'density', at, {min: 0});
+};
+
+// Time-lapse trail settings (trails.js) for planets and moons
+const validateTrail = (check, owner, path) => {
+    if (!check.object(owner, 'trail', path)) return;
+    const at = `${path}.trail`;
+    check.color(owner.trail, 'color', at);
+    if (owner.trail.enabled !== undefined && typeof owner.trail.enabled !== 'boolean') check.fail(`${at}.enabled`, 'must be a boolean');
+};
+
+// innerRadius/outerRadius pair shared by rings and belts
+const validateAnnulus = (check, owner, path) => {
+    check.number(owner, 'innerRadius', path, {required: true, exclusiveMin: 0});
+    check.number(owner, 'outerRadius', path, {required: true, exclusiveMin: 0});
+    if (isNumber(owner.innerRadius) && isNumber(owner.outerRadius) && owner.innerRadius >= owner.outerRadius) {
+        check.fail(path, 'innerRadius must be smaller than outerRadius');
+    }
+};
+
+const validateRing = (check, ring, path) => {
+    if (!isObject(ring)) return check.fail(path, 'must be an object');
+    check.string(ring, 'name', path);
+    validateAnnulus(check, ring, path);
+    check.number(ring, 'tilt', path);
+    check.string(ring, 'texture', path);
+    check.color(ring, 'color', path);
+    check.number(ring, 'opacity', path, {min: 0, max: 1});
+
+    if (check.array(ring, 'bands', path)) {
+        ring.bands.forEach((band, i) => {
+            const at = `${path}.bands[${i}]`;
+            if (!isObject(band)) return check.fail(at, 'must be an object');
+            check.number(band, 'inner', at, {required: true, exclusiveMin: 0});
+            check.number(band, 'outer', at, {required: true, exclusiveMin: 0});
+            if (isNumber(band.inner) && isNumber(band.outer)) {
+                if (band.inner >= band.outer) check.fail(at, 'inner must be smaller than outer');
+                if (isNumber(ring.innerRadius) && isNumber(ring.outerRadius) && (band.inner < ring.innerRadius || band.outer > ring.outerRadius)) {
+                    check.fail(at, `must lie within the ring (${ring.innerRadius}–${ring.outerRadius})`);
+                }
+            }
+            check.number(band, 'opacity', at, {min: 0, max: 1});
+            check.color(band, 'color', at);
+            check.string(band, 'name', at);
+        });
+    }
+
+    if (check.object(ring, 'particles', path)) {
+        const at = `${path}.particles`;
+        check.integer(ring.particles, 'count', at, {min: 0});
+        check.string(ring.particles, 'texture', at);
+        check.number(ring.particles, 'minScale', at, {exclusiveMin: 0});
+        check.number(ring.particles, 'maxScale', at, {exclusiveMin: 0});
+    }
+};
+
+// Instanced rocks shared by belts and Trojan swarms
+const validateRocks = (check, owner, path) => {
+    check.integer(owner, 'count', path, {min: 1});
+    check.string(owner, 'texture', path);
+    check.color(owner, 'color', path);
+    check.number(owner, 'minScale', path, {exclusiveMin: 0});
+    check.number(owner, 'maxScale', path, {exclusiveMin: 0});
+};
+
+const validateBelt = (check, belt, path, planetNames) => {
+    if (!isObject(belt)) return check.fail(path, 'must be an object');
+    check.string(belt, 'name', path);
+    validateAnnulus(check, belt, path);
+    validateRocks(check, belt, path);
+    check.number(belt, 'tilt', path);
+    check.number(belt, 'thickness', path, {min: 0});
+    check.number(belt, 'eccentricity', path, {min: 0, exclusiveMax: 1});
+
+    // resonance (Kirkwood) gaps with one planet, e.g. {"planet": "Jupiter", "resonances": ["3:1", "2:1"]}
+    if (check.object(belt, 'gaps', path)) {
+        const at = `${path}.gaps`;
+        const {gaps} = belt;
+        if (check.required(gaps, 'planet', at)) {
+            if (!isString(gaps.planet)) check.fail(`${at}.planet`, 'must be a non-empty string');
+            else if (!planetNames.includes(gaps.planet)) check.fail(`${at}.planet`, `unknown planet "${gaps.planet}"`);
+        }
+        if (check.array(gaps, 'resonances', at, true)) {
+            gaps.resonances.forEach((ratio, i) => {
+                const match = typeof ratio === 'string' && ratio.match(/^(\d+):(\d+)$/);
+                if (!match || Number(match[2]) === 0 || Number(match[1]) <= Number(match[2])) {
+                    check.fail(`${at}.resonances[${i}]`, 'must be a "p:q" ratio with p > q > 0 (asteroid orbits per planet orbit)');
+                }
+            });
+        }
+        check.number(gaps, 'width', at, {exclusiveMin: 0});
+    }
+};
+
+// Trojan swarms at a planet's L4/L5 points
+const validateTrojans = (check, owner, path) => {
+    if (!check.object(owner, 'trojans', path)) return;
+    const at = `${path}.trojans`;
+    validateRocks(check, owner.trojans, at);
+    check.number(owner.trojans, 'spread', at, {exclusiveMin: 0, max: 60});
+    check.number(owner.trojans, 'width', at, {min: 0, exclusiveMax: 1});
+    check.number(owner.trojans, 'inclination', at, {min: 0, max: 90});
+};
+
+const validateComet = (check, comet, path, claimName) => {
+    if (!isObject(comet)) return check.fail(path, 'must be an object');
+    check.string(comet, 'name', path, true);
+    claimName(comet, path);
+    check.number(comet, 'radius', path, {required: true, exclusiveMin: 0});
+    check.number(comet, 'radiusKm', path, {exclusiveMin: 0});
+    check.number(comet, 'rotationPeriod', path, {nonZero: true});
+    check.string(comet, 'texture', path);
+    validateFallback(check, comet, path);
+    validateTrail(check, comet, path);
+    validateElements(check, comet, path, {needsA: true});
+    validateMaterial(check, comet, path);
+    if (check.object(comet, 'tail', path)) {
+        const at = `${path}.tail`;
+        check.color(comet.tail, 'ionColor', at);
+        check.color(comet.tail, 'dustColor', at);
+        ['ionLength', 'dustLength'].forEach((key) => check.number(comet.tail, key, at, {min: 0}));
+        check.number(comet.tail, 'activeDistance', at, {exclusiveMin: 0});
+        const {elements: el = {}, tail} = comet;
+        if (isNumber(tail.activeDistance) && isNumber(el.a) && isNumber(el.e ?? 0) && tail.activeDistance <= el.a * (1 - (el.e ?? 0))) {
+            check.fail(`${at}.activeDistance`, 'must be beyond the perihelion distance, or the comet never becomes active');
+        }
+    }
+};
+
+/**
+ * Validate a parsed system definition.
+ * @param {any} def
+ * @returns {string[]} Human-readable errors ("path: message"); empty when valid.
+ */
+export const validateSystem = (def) => {
+    const check = createChecker();
+    if (!isObject(def)) {
+        check.fail('$', 'system definition must be a JSON object');
+        return check.errors;
+    }
+    const names = new Map(); // body name -> first path, to catch duplicates
+    const claimName = (body, path) => {
+        if (!isString(body.name)) return;
+        if (names.has(body.name)) check.fail(`${path}.name`, `duplicate body name "${body.name}" (also at ${names.get(body.name)})`);
+        else names.set(body.name, path);
+    };
+
+    check.string(def, 'name', '$');
+
+    if (check.object(def, 'background', '$')) {
+        const bg = def.background;
+        if (check.array(bg, 'cubemap', '$.background')) {
+            if (bg.cubemap.length !== 6 || !bg.cubemap.every(isString)) {
+                check.fail('$.background.cubemap', 'must list 6 texture paths (px, nx, py, ny, pz, nz)');
+            }
+        }
+    }
+
+    if (check.object(def, 'star', '$', true)) {
+        const star = def.star;
+        check.string(star, 'name', '$.star', true);
+        check.number(star, 'radius', '$.star', {required: true, exclusiveMin: 0});
+        check.number(star, 'radiusKm', '$.star', {exclusiveMin: 0});
+        check.string(star, 'texture', '$.star');
+        validateFallback(check, star, '$.star');
+        check.color(star, 'color', '$.star');
+        ['light', 'ambient'].forEach((key) => {
+            if (!check.object(star, key, '$.star')) return;
+            check.color(star[key], 'color', `$.star.${key}`);
+            check.number(star[key], 'intensity', `$.star.${key}`, {min: 0});
+        });
+        claimName(star, '$.star');
+    }
+
+    if (check.object(def, 'defaults', '$')) {
+        check.string(def.defaults, 'moonTexture', '$.defaults');
+        check.string(def.defaults, 'dustTexture', '$.defaults');
+    }
+
+    if (check.array(def, 'planets', '$', true)) {
+        if (def.planets.length === 0) check.fail('$.planets', 'must contain at least one planet');
+        def.planets.forEach((p, i) => {
+            const path = `$.planets[${i}]`;
+            if (!isObject(p)) return check.fail(path, 'must be an object');
+            check.string(p, 'name', path, true);
+            claimName(p, path);
+            check.number(p, 'radius', path, {required: true, exclusiveMin: 0});
+            check.number(p, 'radiusKm', path, {exclusiveMin: 0});
+            check.number(p, 'distance', path, {required: true, exclusiveMin: 0});
+            check.number(p, 'speed', path);
+            check.number(p, 'tilt', path);
+            check.number(p, 'poleLongitude', path);
+            check.number(p, 'rotationPeriod', path, {nonZero: true});
+            if (p.dwarf !== undefined && typeof p.dwarf !== 'boolean') check.fail(`${path}.dwarf`, 'must be a boolean');
+            check.string(p, 'texture', path);
+            validateFallback(check, p, path);
+            validateSurface(check, p, path);
+            validateAtmosphere(check, p, path);
+            validateTrail(check, p, path);
+            validateElements(check, p, path, {needsA: true});
+            validateMaterial(check, p, path);
+            validateTrojans(check, p, path);
+
+            if (check.array(p, 'moons', path)) {
+                p.moons.forEach((m, j) => {
+                    const mPath = `${path}.moons[${j}]`;
+                    if (!isObject(m)) return check.fail(mPath, 'must be an object');
+                    check.string(m, 'name', mPath, true);
+                    claimName(m, mPath);
+                    check.number(m, 'radius', mPath, {required: true, exclusiveMin: 0});
+                    check.number(m, 'radiusKm', mPath, {exclusiveMin: 0});
+                    check.number(m, 'distance', mPath, {required: true, exclusiveMin: 0});
+                    check.number(m, 'speed', mPath);
+                    check.string(m, 'texture', mPath);
+                    validateFallback(check, m, mPath);
+                    validateTrail(check, m, mPath);
+                    validateElements(check, m, mPath, {needsA: false});
+                    validateMaterial(check, m, mPath);
+                });
+            }
+            if (check.array(p, 'rings', path)) {
+                p.rings.forEach((ring, j) => validateRing(check, ring, `${path}.rings[${j}]`));
+            }
+        });
+    }
+
+    if (check.array(def, 'belts', '$')) {
+        const planetNames = Array.isArray(def.planets) ? def.planets.map((p) => p && p.name) : [];
+        def.belts.forEach((belt, i) => validateBelt(check, belt, `$.belts[${i}]`, planetNames));
+    }
+
+    if (check.array(def, 'comets', '$')) {
+        def.comets.forEach((comet, i) => validateComet(check, comet, `$.comets[${i}]`, claimName));
+    }
+
+    return check.errors;
+};
+
+/**
+ * Validate a definition and return it with optional collections defaulted, or throw.
+ * @param {any} def
+ * @param {string} [source='bundled']
+ * @returns {object}
+ * @throws {SystemValidationError}
+ */
+export const parseSystem = (def, source = 'bundled') => {
+    const errors = validateSystem(def);
+    if (errors.length) throw new SystemValidationError(source, errors);
+    return {
+        ...def,
+        defaults: def.defaults || {},
+        planets: def.planets.map((p) => ({moons: [], rings: [], ...p})),
+        belts: def.belts || [],
+        comets: def.comets || []
+    };
+};
+
+/**
+ * Fetch and validate a system definition from a URL.
+ * @param {string} url
+ * @returns {Promise<object>}
+ * @throws {SystemValidationError} When the file cannot be loaded, parsed or validated.
+ */
+export const loadSystem = async (url) => {
+    let def;
+    try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        def = await res.json();
+    } catch (err) {
+        throw new SystemValidationError(url, [`$: could not load JSON (${err.message})`]);
+    }
+    return parseSystem(def, url);
+};
@@ -0,0 +1,196 @@
+/*
+ Texture resolution and caching
+ ------------------------------
+ Texture paths in a system definition are relative to static/ ("textures/8k_sun.jpg").
+ Everything under static/textures is registered with Vite through import.meta.glob so those
+ paths resolve to hashed asset URLs in both dev and production builds; any other path
+ (e.g. an absolute URL in an external system file) is used as-is.
+
+ All loads go through one THREE.LoadingManager per cache, which drives the loading screen
+ (loadingScreen.js). A texture that fails to load is not left black: when the caller passes a
+ fallback description, the procedural surface from proceduralTextures.js is swapped into the
+ same THREE.Texture, so materials that already reference it pick it up. Bodies that have no
+ texture file at all can ask for the procedural surface directly (generate()).
+
+ Resolution tiers: file names following the "<N>k_" convention ("8k_sun.jpg", "2k_uranus.jpg")
+ come in tiers. The cache loads the best bundled variant at or below the current tier (falling
+ back to the smallest larger one), and shrinks images that are still wider than the tier
+ allows. setTier() reloads every texture in place, again keeping the THREE.Texture objects.
+*/
+import * as THREE from 'three';
+import {createProceduralTexture} from './proceduralTextures.js';
+
+// static/textures/** -> asset URL, keyed by the path relative to static/
+const bundledTextures = Object.fromEntries(
+    Object.entries(import.meta.glob('../static/textures/**/*.{jpg,png}', {eager: true, query: '?url', import: 'default'}))
+        .map(([file, url]) => [file.replace('../static/', ''), url])
+);
+
+/**
+ * Resolve a definition texture path to a loadable URL.
+ * @param {string} path
+ * @returns {string}
+ */
+export const resolveAssetUrl = (path) => bundledTextures[path] ?? path;
+
+// Tier name -> maximum texture width in pixels
+export const TEXTURE_TIERS = {'2k': 2048, '4k': 4096, '8k': 8192};
+
+const TIER_PATTERN = /(^|\/)(\d+)k_([^/]+)$/;
+
+/**
+ * Pick the bundled variant of a tiered texture path for a tier: the largest one not above the
+ * tier, otherwise the smallest one above it. Untiered or external paths are returned unchanged.
+ * @param {string} path - e.g. "textures/8k_sun.jpg"
+ * @param {string} tier - Key of TEXTURE_TIERS.
+ * @returns {string}
+ */
+export const resolveTier = (path, tier) => {
+    const match = path.match(TIER_PATTERN);
+    if (!match) return path;
+    const dir = path.slice(0, match.index + match[1].length);
+    const variants = Object.keys(TEXTURE_TIERS)
+        .map((name) => ({name, path: `${dir}${name}_${match[3]}`, width: TEXTURE_TIERS[name]}))
+        .filter((v) => bundledTextures[v.path]);
+    if (!variants.length) return path; // not bundled (external URL or missing file): load as written
+    const max = TEXTURE_TIERS[tier] ?? Infinity;
+    const below = variants.filter((v) => v.width <= max);
+    return (below.length ? below[below.length - 1] : variants[0]).path;
+};
+
+// Downscale an image that is wider than the tier allows (saves GPU memory, not download time)
+const fitToTier = (image, tier) => {
+    const max = TEXTURE_TIERS[tier] ?? Infinity;
+    if (!image || image.width <= max) return image;
+    const canvas = document.createElement('canvas');
+    canvas.width = max;
+    canvas.height = Math.round(image.height * (max / image.width));
+    canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+    return canvas;
+};
+
+/**
+ * Per-instance texture cache: each distinct path is loaded once, even if several bodies share it,
+ * and dispose() frees everything it loaded.
+ * @param {{manager?:THREE.LoadingManager, onError?:function(string, string):void, tier?:string}} [options]
+ *   manager: tracks progress for every load; onError(path, url) is called once per failed asset;
+ *   tier: initial resolution tier (key of TEXTURE_TIERS, default '8k').
+ * @returns {{manager:THREE.LoadingManager, failed:string[], tier:string, load:function(string, object=):THREE.Texture|null,
+ *   generate:function(object):THREE.Texture, setTier:function(string):void, loadCube:function(string[]):THREE.CubeTexture, dispose:function():void}}
+ */
+export const createTextureCache = ({manager = new THREE.LoadingManager(), onError, tier = '8k'} = {}) => {
+    const imageLoader = new THREE.ImageLoader(manager); // loads JPG/PNG images for our textures
+    const cubeTextureLoader = new THREE.CubeTextureLoader(manager); // loads 6 faces for skybox-like backgrounds
+    const textures = new Map(); // definition path -> {texture, url, fallback, failed}
+    const generated = []; // procedural textures, disposed with the cache
+    const cubes = [];
+    const failed = []; // paths that could not be loaded
+
+    const reportError = (path, url) => {
+        failed.push(path);
+        console.error(`Failed to load texture "${path}"`);
+        if (onError) onError(path, url);
+    };
+
+    // Replace the image of a texture that failed to load with a procedural surface
+    const applyFallback = (texture, fallback) => {
+        const procedural = createProceduralTexture(fallback);
+        generated.push(procedural);
+        texture.image = procedural.image;
+        texture.wrapS = procedural.wrapS;
+        texture.needsUpdate = true;
+    };
+
+    // (Re)load the image for one cache entry at the current tier
+    const fetchImage = (path, entry) => {
+        const url = resolveAssetUrl(resolveTier(path, cache.tier));
+        const requestedTier = cache.tier;
+        entry.url = url;
+        imageLoader.load(url, (image) => {
+            if (entry.url !== url) return; // a newer tier request superseded this one
+            entry.texture.image = fitToTier(image, requestedTier);
+            entry.texture.needsUpdate = true;
+        }, undefined, () => {
+            if (entry.failed) return; // already reported and replaced
+            entry.failed = true;
+            reportError(path, url);
+            if (entry.fallback) applyFallback(entry.texture, entry.fallback);
+        });
+    };
+
+    const cache = {
+        manager,
+        failed,
+        tier,
+
+        /**
+         * @param {string} path - Definition texture path.
+         * @param {{type?:'rocky'|'gas', color?:string|number, seed?:string}} [fallback]
+         *   Procedural surface to use if the file is missing (see createProceduralTexture).
+         * @returns {THREE.Texture|null}
+         */
+        load: (path, fallback) => {
+            if (!path) return null; // untextured body: plain material color
+            if (!textures.has(path)) {
+                const entry = {texture: new THREE.Texture(), url: null, fallback, failed: false};
+                textures.set(path, entry);
+                fetchImage(path, entry);
+            } else if (fallback && !textures.get(path).fallback) {
+                textures.get(path).fallback = fallback; // first caller without a fallback doesn't block later ones
+            }
+            return textures.get(path).texture;
+        },
+
+        /**
+         * Procedural surface for a body without a texture file; freed with the cache.
+         * @param {{type?:'rocky'|'gas', color?:string|number, seed?:string}} fallback
+         * @returns {THREE.Texture}
+         */
+        generate: (fallback) => {
+            const texture = createProceduralTexture(fallback);
+            generated.push(texture);
+            return texture;
+        },
+
+        /**
+         * Switch every loaded texture to another resolution tier, in place.
+         * @param {string} newTier - Key of TEXTURE_TIERS.
+         */
+        setTier: (newTier) => {
+            if (newTier === cache.tier || !TEXTURE_TIERS[newTier]) return;
+            cache.tier = newTier;
+            textures.forEach((entry, path) => {
+                if (!entry.failed) fetchImage(path, entry);
+            });
+        },
+
+        // 6 faces in the order px, nx, py, ny, pz, nz
+        loadCube: (paths) => {
+            let reported = false; // one entry for the whole cubemap, not per face
+            const cube = cubeTextureLoader.load(
+                paths.map(resolveAssetUrl),
+                () => {
+                    console.log('Cubemap loaded'); // success callback
+                },
+                undefined, // progress callback (unused)
+                () => {
+                    if (reported) return;
+                    reported = true;
+                    reportError(`cubemap (${paths[0]}, …)`, paths.map(resolveAssetUrl).join(', '));
+                }
+            );
+            cubes.push(cube);
+            return cube;
+        },
+
+        dispose: () => {
+            textures.forEach((entry) => entry.texture.dispose());
+            textures.clear();
+            generated.forEach((texture) => texture.dispose());
+            generated.length = 0;
+            cubes.forEach((cube) => cube.dispose());
+            cubes.length = 0;
+        }
+    };
+    return cache;
+};
@@ -0,0 +1,119 @@
+/*
+ Tour authoring
+ --------------
+ A small panel for writing tours (tours.js) inside the view: frame a shot with the mouse, type
+ a caption, then "Add keyframe" records the current camera, focus, date and settings as a new
+ step (the `capture` callback, SolarSystem.captureTourStep). The tour can be previewed in the
+ player and downloaded as JSON, ready to be bundled or loaded with ?tour=<url>.
+ Styling lives in style.css (.tour-author).
+*/
+import {DEFAULT_STEP_DURATION} from './tours.js';
+import {downloadBlob} from './capture.js';
+
+/**
+ * Create the (initially hidden) authoring panel.
+ * @param {{container?:HTMLElement, capture:function():object, onPreview:function(object):void}} options
+ *   capture: returns a step for the current view; onPreview: receives the tour to play.
+ * @returns {{element:HTMLElement, tour:function():object, isOpen:function():boolean, open:function():void,
+ *   close:function():void, dispose:function():void}}
+ */
+export const createTourAuthor = ({container = document.body, capture, onPreview}) => {
+    const steps = [];
+
+    const element = document.createElement('aside');
+    element.className = 'tour-author';
+    element.hidden = true;
+
+    const header = document.createElement('header');
+    const heading = document.createElement('h2');
+    heading.textContent = 'Tour authoring';
+    const close = document.createElement('button');
+    close.type = 'button';
+    close.className = 'tour-author__close';
+    close.setAttribute('aria-label', 'Close');
+    close.textContent = '×';
+    header.append(heading, close);
+
+    const field = (labelText, input) => {
+        const label = document.createElement('label');
+        label.textContent = labelText;
+        label.appendChild(input);
+        return label;
+    };
+    const title = document.createElement('input');
+    title.type = 'text';
+    title.value = 'Untitled tour';
+    const caption = document.createElement('textarea');
+    caption.rows = 3;
+    caption.placeholder = 'What the audience should notice…';
+    const duration = document.createElement('input');
+    duration.type = 'number';
+    duration.min = '1';
+    duration.step = '1';
+    duration.value = String(DEFAULT_STEP_DURATION);
+
+    const actions = document.createElement('div');
+    actions.className = 'tour-author__actions';
+    const action = (text, onClick) => {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.textContent = text;
+        el.addEventListener('click', onClick);
+        actions.appendChild(el);
+        return el;
+    };
+
+    const list = document.createElement('ol');
+    list.className = 'tour-author__steps';
+
+    const tour = () => ({title: title.value.trim() || 'Untitled tour', steps: steps.map((step) => ({...step}))});
+
+    const render = () => {
+        list.replaceChildren();
+        steps.forEach((step) => {
+            const item = document.createElement('li');
+            item.textContent = `${step.focus || 'Overview'} · ${step.date} · ${step.duration} s${step.caption ? ` — ${step.caption}` : ''}`;
+            list.appendChild(item);
+        });
+        removeButton.disabled = previewButton.disabled = downloadButton.disabled = !steps.length;
+    };
+
+    action('Add keyframe', () => {
+        const seconds = Number(duration.value);
+        steps.push({
+            caption: caption.value.trim(),
+            duration: Number.isFinite(seconds) && seconds > 0 ? seconds : DEFAULT_STEP_DURATION,
+            ...capture()
+        });
+        caption.value = '';
+        render();
+    });
+    const removeButton = action('Remove last', () => {
+        steps.pop();
+        render();
+    });
+    const previewButton = action('Preview', () => onPreview(tour()));
+    const downloadButton = action('Download JSON', () => {
+        const name = tour().title.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tour';
+        downloadBlob(new Blob([JSON.stringify(tour(), null, 2)], {type: 'application/json'}), `${name}.json`);
+    });
+
+    element.append(header, field('Title', title), field('Caption', caption), field('Duration (s)', duration), actions, list);
+    container.appendChild(element);
+
+    const author = {
+        element,
+        tour,
+        isOpen: () => !element.hidden,
+        open: () => {
+            element.hidden = false;
+            render();
+        },
+        close: () => {
+            element.hidden = true;
+        },
+        dispose: () => element.remove() // listeners go with the elements
+    };
+    close.addEventListener('click', author.close);
+    return author;
+};
@@ -0,0 +1,278 @@
+/*
+ Guided tours
+ ------------
+ A tour is a JSON file (tours/tour.schema.json; tours/grand-tour.json is bundled) with a list
+ of timed steps. A step may:
+ - fly the camera: `focus` a body by name ("" for the overview), optionally with a recorded
+   `camera` keyframe ({offset, target}: the camera position relative to the target, and the
+   target itself when not following a body);
+ - set the simulation `date` (string or Julian date), `timeScale`, `paused` and `scaleMode`;
+ - toggle `showOrbits` / `labelsEnabled`;
+ - show a `caption` for `duration` seconds before the next step starts (while playing).
+ Settings carry over: stepping to step n applies the settings of steps 0..n, so previous/next
+ and jumping around give the same picture as playing straight through. Dates and camera moves
+ only come from the step itself.
+ The player (createTourPlayer) draws the caption bar with play/pause/previous/next and counts
+ time from the view's 'frame' events, so it follows pauses of the render loop and fixed-step
+ video recording. Only the view's public API is used to apply a step.
+*/
+import {createChecker} from './systemLoader.js';
+import {parseSimDate} from './simClock.js';
+import {SCALE_MODES} from './scaleModes.js';
+
+export const DEFAULT_STEP_DURATION = 6; // seconds
+const SETTINGS = ['showOrbits', 'labelsEnabled', 'timeScale', 'paused', 'scaleMode']; // carried over between steps
+
+/**
+ * Thrown when a tour fails validation; `errors` lists "path: message" strings.
+ */
+export class TourValidationError extends Error {
+    /**
+     * @param {string} source - Where the tour came from (URL, file name or "inline").
+     * @param {string[]} errors
+     */
+    constructor(source, errors) {
+        super(`Invalid tour (${source}):\n- ${errors.join('\n- ')}`);
+        this.name = 'TourValidationError';
+        this.source = source;
+        this.errors = errors;
+    }
+}
+
+const isVector = (v) => Array.isArray(v) && v.length === 3 && v.every(Number.isFinite);
+
+/**
+ * Check a tour definition.
+ * @param {any} def
+ * @returns {string[]} Errors; empty when valid.
+ */
+export const validateTour = (def) => {
+    const check = createChecker();
+    if (def === null || typeof def !== 'object' || Array.isArray(def)) {
+        check.fail('$', 'must be an object');
+        return check.errors;
+    }
+    check.string(def, 'title', '$');
+    if (!check.array(def, 'steps', '$', true)) return check.errors;
+    if (!def.steps.length) check.fail('$.steps', 'must contain at least one step');
+    def.steps.forEach((step, i) => {
+        const path = `$.steps[${i}]`;
+        if (step === null || typeof step !== 'object' || Array.isArray(step)) return check.fail(path, 'must be an object');
+        if (step.caption !== undefined && typeof step.caption !== 'string') check.fail(`${path}.caption`, 'must be a string');
+        if (step.focus !== undefined && typeof step.focus !== 'string') check.fail(`${path}.focus`, 'must be a body name or "" for the overview');
+        check.number(step, 'duration', path, {exclusiveMin: 0});
+        check.number(step, 'timeScale', path, {min: 0, max: 100});
+        ['showOrbits', 'labelsEnabled', 'paused'].forEach((key) => {
+            if (step[key] !== undefined && typeof step[key] !== 'boolean') check.fail(`${path}.${key}`, 'must be a boolean');
+        });
+        if (step.scaleMode !== undefined && !SCALE_MODES.includes(step.scaleMode)) {
+            check.fail(`${path}.scaleMode`, `must be one of ${SCALE_MODES.map((m) => `"${m}"`).join(', ')}`);
+        }
+        if (step.date !== undefined && !(Number.isFinite(step.date) || parseSimDate(step.date))) {
+            check.fail(`${path}.date`, 'must be a date string ("YYYY-MM-DD HH:mm", UTC) or a Julian date');
+        }
+        if (check.object(step, 'camera', path)) {
+            const at = `${path}.camera`;
+            if (!isVector(step.camera.offset)) check.fail(`${at}.offset`, 'must be [x, y, z]');
+            if (step.camera.target !== undefined && !isVector(step.camera.target)) check.fail(`${at}.target`, 'must be [x, y, z]');
+            if (!step.focus && step.camera.target === undefined) check.fail(at, 'needs a target when the step has no focus');
+        }
+    });
+    return check.errors;
+};
+
+/**
+ * Validate a tour and fill in step durations, or throw.
+ * @param {any} def
+ * @param {string} [source='inline']
+ * @returns {{title:string, steps:object[]}}
+ * @throws {TourValidationError}
+ */
+export const parseTour = (def, source = 'inline') => {
+    const errors = validateTour(def);
+    if (errors.length) throw new TourValidationError(source, errors);
+    return {
+        ...def,
+        title: def.title || 'Tour',
+        steps: def.steps.map((step) => ({duration: DEFAULT_STEP_DURATION, ...step}))
+    };
+};
+
+/**
+ * Fetch and validate a tour from a URL.
+ * @param {string} url
+ * @returns {Promise<object>}
+ * @throws {TourValidationError} When the file cannot be loaded, parsed or validated.
+ */
+export const loadTour = async (url) => {
+    let def;
+    try {
+        const res = await fetch(url);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        def = await res.json();
+    } catch (err) {
+        throw new TourValidationError(url, [`$: could not load JSON (${err.message})`]);
+    }
+    return parseTour(def, url);
+};
+
+/**
+ * Apply step `index` of a tour to a view: settings of every step up to it, then its own date and
+ * camera move.
+ * @param {import('./SolarSystem.js').SolarSystem} view
+ * @param {object[]} steps - From parseTour().
+ * @param {number} index
+ */
+export const applyTourStep = (view, steps, index) => {
+    const settings = {};
+    steps.slice(0, index + 1).forEach((step) => SETTINGS.forEach((key) => {
+        if (step[key] !== undefined) settings[key] = step[key];
+    }));
+    const {timeScale, paused, ...params} = settings;
+    view.setParams(params);
+    if (timeScale !== undefined) view.setTimeScale(timeScale);
+    if (paused !== undefined) view.setPaused(paused);
+
+    const step = steps[index];
+    if (step.date !== undefined) view.setTime(step.date);
+    if (step.camera) {
+        if (!view.flyTo({focus: step.focus ?? '', ...step.camera})) console.warn(`Tour step ${index + 1}: unknown body "${step.focus}"`);
+    } else if (step.focus !== undefined) {
+        if (!view.focus(step.focus)) console.warn(`Tour step ${index + 1}: unknown body "${step.focus}"`);
+    }
+};
+
+/**
+ * Caption bar and transport controls for tours on one view. Hidden until load() (or notice()).
+ * @param {{view:import('./SolarSystem.js').SolarSystem, container?:HTMLElement,
+ *   onChange?:function({title:string, index:number, count:number}|null):void}} options
+ *   onChange: a step was shown, or null when the tour closed.
+ * @returns {{element:HTMLElement, tour:object|null, index:number, playing:boolean,
+ *   load:function(object, {autoplay?:boolean}=):void, play:function():void, pause:function():void,
+ *   next:function():void, previous:function():void, goTo:function(number):void,
+ *   notice:function(string, string):void, close:function():void, dispose:function():void}}
+ */
+export const createTourPlayer = ({view, container = document.body, onChange}) => {
+    const element = document.createElement('section');
+    element.className = 'tour-player';
+    element.hidden = true;
+    element.setAttribute('aria-live', 'polite');
+
+    const title = document.createElement('h2');
+    const caption = document.createElement('p');
+    caption.className = 'tour-player__caption';
+    const progress = document.createElement('div');
+    progress.className = 'tour-player__progress';
+    const bar = document.createElement('span');
+    progress.appendChild(bar);
+
+    const button = (text, label, onClick) => {
+        const el = document.createElement('button');
+        el.type = 'button';
+        el.textContent = text;
+        el.title = label;
+        el.setAttribute('aria-label', label);
+        el.addEventListener('click', onClick);
+        return el;
+    };
+    const controls = document.createElement('div');
+    controls.className = 'tour-player__controls';
+    const counter = document.createElement('span');
+    counter.className = 'tour-player__counter';
+    const previousButton = button('⏮', 'Previous step', () => player.previous());
+    const playButton = button('⏵', 'Play', () => (player.playing ? player.pause() : player.play()));
+    const nextButton = button('⏭', 'Next step', () => player.next());
+    const closeButton = button('×', 'Close tour', () => player.close());
+    controls.append(previousButton, playButton, nextButton, counter, closeButton);
+
+    element.append(title, caption, progress, controls);
+    container.appendChild(element);
+
+    let elapsed = 0; // seconds into the current step
+
+    const render = () => {
+        const {tour, index} = player;
+        [previousButton, playButton, nextButton, counter, progress].forEach((el) => (el.hidden = !tour)); // close stays
+        if (!tour) return;
+        const step = tour.steps[index];
+        title.textContent = tour.title;
+        caption.textContent = step.caption ?? '';
+        counter.textContent = `${index + 1} / ${tour.steps.length}`;
+        playButton.textContent = player.playing ? '⏸' : '⏵';
+        playButton.title = player.playing ? 'Pause' : 'Play';
+        playButton.setAttribute('aria-label', playButton.title);
+        previousButton.disabled = index === 0;
+        nextButton.disabled = index === tour.steps.length - 1;
+    };
+
+    const offFrame = view.on('frame', ({dt}) => {
+        if (!player.tour || !player.playing) return;
+        const step = player.tour.steps[player.index];
+        elapsed += dt;
+        bar.style.width = `${Math.min(elapsed / step.duration, 1) * 100}%`;
+        if (elapsed < step.duration) return;
+        if (player.index < player.tour.steps.length - 1) player.goTo(player.index + 1);
+        else player.pause(); // stay on the last step
+    });
+
+    const player = {
+        element,
+        tour: null,
+        index: 0,
+        playing: false,
+
+        // show a parsed tour (parseTour) at its first step
+        load: (tour, {autoplay = true} = {}) => {
+            player.tour = tour;
+            element.hidden = false;
+            player.playing = autoplay;
+            player.goTo(0);
+        },
+        play: () => {
+            if (!player.tour) return;
+            // at the end of the last step, start over
+            if (player.index === player.tour.steps.length - 1 && elapsed >= player.tour.steps[player.index].duration) player.goTo(0);
+            player.playing = true;
+            render();
+        },
+        pause: () => {
+            player.playing = false;
+            render();
+        },
+        next: () => {
+            if (player.tour && player.index < player.tour.steps.length - 1) player.goTo(player.index + 1);
+        },
+        previous: () => {
+            if (player.tour && player.index > 0) player.goTo(player.index - 1);
+        },
+        goTo: (index) => {
+            if (!player.tour) return;
+            player.index = Math.max(0, Math.min(index, player.tour.steps.length - 1));
+            elapsed = 0;
+            bar.style.width = '0%';
+            applyTourStep(view, player.tour.steps, player.index);
+            render();
+            if (onChange) onChange({title: player.tour.title, index: player.index, count: player.tour.steps.length});
+        },
+        // a message in place of a tour (e.g. why a file could not be loaded); closes the tour
+        notice: (heading, text) => {
+            if (player.tour) player.close();
+            title.textContent = heading;
+            caption.textContent = text;
+            render();
+            element.hidden = false;
+        },
+        close: () => {
+            const wasOpen = !!player.tour;
+            player.tour = null;
+            player.playing = false;
+            element.hidden = true;
+            if (wasOpen && onChange) onChange(null);
+        },
+        dispose: () => {
+            offFrame();
+            element.remove(); // the button listeners go with their elements
+        }
+    };
+    return player;
+};
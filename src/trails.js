@@ -0,0 +1,131 @@
+/*
+ Orbit trails
+ ------------
+ Fading time-lapse trails: each body records its world-space path over a window of simulation
+ time, so a moon traces its wavy path around the sun and a followed planet leaves its moons'
+ spirals behind.
+ - Samples are taken at fixed simulation-time steps (window / samples). Positions come from a
+   callback that evaluates the Kepler orbits at the sample's own time, so fast time rates skip
+   no corners of the path: every step between two frames is filled in.
+ - Storage is a ring buffer written twice (at i and i + samples), so the live part of the
+   buffer is always one contiguous range of the vertex array and a single drawRange draws it
+   without a wrap-around segment. Only the written vertices are re-uploaded each frame.
+ - The vertex shader fades each vertex by its position in that range (gl_VertexID), newest
+   opaque, oldest transparent.
+ - reset() empties the trail: used when the clock jumps, the window changes or the scene is
+   rescaled, so no segment ever joins two unrelated positions.
+*/
+import * as THREE from 'three';
+
+export const TRAIL_SAMPLES = 1024;
+
+const vertexShader = /* glsl */ `
+uniform float uEnd;     // vertex index of the newest sample
+uniform float uSamples; // ring size: the oldest possible sample is this many steps back
+varying float vAlpha;
+void main() {
+    vAlpha = 1.0 - (uEnd - float(gl_VertexID)) / uSamples;
+    gl_Position = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+}
+`;
+
+const fragmentShader = /* glsl */ `
+uniform vec3 uColor;
+uniform float uOpacity;
+varying float vAlpha;
+void main() {
+    gl_FragColor = vec4(uColor, uOpacity * vAlpha * vAlpha); // quadratic: the tail thins out quickly
+    #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Create a trail for one body. Add `line` to the scene (world frame) and call update() per frame.
+ * @param {{name?:string, color?:string|number, opacity?:number, samples?:number,
+ *   positionAt:function(number, THREE.Vector3):THREE.Vector3}} options
+ *   positionAt(jd, target): the body's world position at a Julian date.
+ * @returns {{line:THREE.Line, update:function(number, number):void, reset:function():void}}
+ */
+export const createTrail = ({name = 'trail', color = 0xffffff, opacity = 0.8, samples = TRAIL_SAMPLES, positionAt}) => {
+    const positions = new Float32Array(samples * 2 * 3);
+    const attribute = new THREE.BufferAttribute(positions, 3).setUsage(THREE.DynamicDrawUsage);
+    const geometry = new THREE.BufferGeometry();
+    geometry.setAttribute('position', attribute);
+    geometry.setDrawRange(0, 0);
+
+    const uniforms = {
+        uColor: {value: new THREE.Color(color)},
+        uOpacity: {value: opacity},
+        uEnd: {value: 0},
+        uSamples: {value: samples}
+    };
+    const line = new THREE.Line(geometry, new THREE.ShaderMaterial({
+        vertexShader,
+        fragmentShader,
+        uniforms,
+        transparent: true,
+        depthWrite: false
+    }));
+    line.name = `${name}-trail`;
+    line.frustumCulled = false; // the bounding sphere would be stale as soon as the trail grows
+
+    const point = new THREE.Vector3();
+    let head = 0; // next slot to write
+    let filled = 0; // valid samples
+    let lastStep = null; // index (jd / interval) of the newest sample
+    let lastInterval = 0;
+
+    const write = (jd) => {
+        positionAt(jd, point);
+        point.toArray(positions, head * 3);
+        point.toArray(positions, (head + samples) * 3);
+        head = (head + 1) % samples;
+        filled = Math.min(filled + 1, samples);
+    };
+
+    const trail = {
+        line,
+
+        /**
+         * Record the samples due since the last call.
+         * @param {number} jd - Current simulation Julian date.
+         * @param {number} window - Trail length in days.
+         */
+        update: (jd, window) => {
+            const interval = window / samples;
+            if (interval !== lastInterval) {
+                trail.reset();
+                lastInterval = interval;
+            }
+            const step = Math.floor(jd / interval);
+            if (step === lastStep) return;
+
+            // every step since the last sample (in either direction when the clock runs backwards)
+            const direction = lastStep === null ? 1 : Math.sign(step - lastStep);
+            const count = lastStep === null ? 1 : Math.min(Math.abs(step - lastStep), samples);
+            const first = head;
+            for (let k = count - 1; k >= 0; k--) write((step - direction * k) * interval);
+            lastStep = step;
+
+            // upload what changed (both copies); a wrapped batch uploads the span between
+            attribute.clearUpdateRanges();
+            const from = count >= samples || head <= first ? 0 : first;
+            const to = count >= samples || head <= first ? samples : head;
+            attribute.addUpdateRange(from * 3, (to - from) * 3);
+            attribute.addUpdateRange((from + samples) * 3, (to - from) * 3);
+            attribute.needsUpdate = true;
+
+            const start = (head - filled + samples) % samples;
+            geometry.setDrawRange(start, filled);
+            uniforms.uEnd.value = start + filled - 1;
+        },
+
+        reset: () => {
+            head = 0;
+            filled = 0;
+            lastStep = null;
+            geometry.setDrawRange(0, 0);
+        }
+    };
+    return trail;
+};
@@ -0,0 +1,112 @@
+/*
+ Deep links
+ ----------
+ Serializes what a view shows into a URL hash and back, so a link restores the same moment and
+ framing: "#jd=2460680.5&focus=Saturn&cam=…&target=…&scaleMode=true-distance&showOrbits=0…".
+ - jd: simulation Julian date; paused: 1 while the clock is stopped, else 0.
+ - focus: followed body. cam is the camera offset from the target (not an absolute position),
+   so a focused view is restored around the body's position for that date, even for tiny moons.
+ - target: orbit controls target in scene units (for overview views).
+ - Everything in LINK_PARAMS, by its params name.
+ Parsing never throws: an entry that is malformed, out of range or unknown is left out, and
+ the view keeps its current value for it (stale links from older versions still mostly work).
+*/
+import {SCALE_MODES} from './scaleModes.js';
+import {TIME_RATES} from './simClock.js';
+
+// params carried by a link and how each one is validated
+export const LINK_PARAMS = {
+    showOrbits: {type: 'boolean'},
+    showPlanets: {type: 'boolean'},
+    showMoons: {type: 'boolean'},
+    showDwarfPlanets: {type: 'boolean'},
+    showComets: {type: 'boolean'},
+    showBelts: {type: 'boolean'},
+    showRings: {type: 'boolean'},
+    labelsEnabled: {type: 'boolean'},
+    labelSize: {type: 'number', min: 0.2, max: 3},
+    timeScale: {type: 'number', min: 0, max: 100},
+    timeRate: {type: 'enum', values: Object.keys(TIME_RATES)},
+    timeReverse: {type: 'boolean'},
+    scaleMode: {type: 'enum', values: SCALE_MODES},
+    spaceDustEnabled: {type: 'boolean'},
+    spaceDustCount: {type: 'number', min: 100, max: 2000, integer: true},
+    spaceDustSpeed: {type: 'number', min: 0, max: 5},
+    spaceDustSize: {type: 'number', min: 0.1, max: 6},
+    spaceDustSpread: {type: 'number', min: 5, max: 120},
+    shadows: {type: 'boolean'},
+    shadowSoftness: {type: 'number', min: 0.005, max: 0.5},
+    atmospheres: {type: 'boolean'},
+    bloom: {type: 'boolean'},
+    bloomStrength: {type: 'number', min: 0, max: 3},
+    lensFlare: {type: 'boolean'},
+    trails: {type: 'boolean'},
+    trailWindow: {type: 'number', min: 1, max: 36525}
+};
+
+// shortest text that round-trips the value closely enough for the view
+const num = (value, digits = 8) => String(Number(value.toPrecision(digits)));
+
+const parseNumber = (text) => (text !== null && text.trim() !== '' ? Number(text) : NaN);
+
+const parseVector = (text) => {
+    if (!text) return null;
+    const parts = text.split(',').map(parseNumber);
+    return parts.length === 3 && parts.every(Number.isFinite) ? parts : null;
+};
+
+const parseParam = (spec, text) => {
+    if (spec.type === 'boolean') return text === '1' ? true : text === '0' ? false : undefined;
+    if (spec.type === 'enum') return spec.values.includes(text) ? text : undefined;
+    const value = parseNumber(text);
+    if (!Number.isFinite(value) || value < spec.min || value > spec.max) return undefined;
+    if (spec.integer && !Number.isInteger(value)) return undefined;
+    return value;
+};
+
+/**
+ * Build the hash for a view state.
+ * @param {{jd:number, paused:boolean, focus?:string, camera:number[], target:number[], params:object}} state
+ *   camera and target: [x, y, z] in scene units (camera absolute; stored relative to the target).
+ * @returns {string} Hash including the leading '#'.
+ */
+export const serializeViewLink = ({jd, paused, focus, camera, target, params}) => {
+    const query = new URLSearchParams();
+    query.set('jd', jd.toFixed(6)); // ~0.1 s
+    query.set('paused', paused ? '1' : '0');
+    if (focus) query.set('focus', focus);
+    query.set('cam', camera.map((v, i) => num(v - target[i])).join(','));
+    query.set('target', target.map((v) => num(v)).join(','));
+    Object.entries(LINK_PARAMS).forEach(([key, spec]) => {
+        const value = params[key];
+        if (value === undefined) return;
+        query.set(key, spec.type === 'boolean' ? (value ? '1' : '0') : spec.type === 'number' ? num(value, 6) : value);
+    });
+    return `#${query.toString().replace(/%2C/g, ',')}`; // commas are fine in a hash and easier to read
+};
+
+/**
+ * Read a view state from a hash. Only valid entries are returned.
+ * @param {string} hash - location.hash (with or without '#').
+ * @returns {{jd?:number, paused?:boolean, focus?:string, offset?:number[], target?:number[], params:object}}
+ *   offset: camera position relative to the target.
+ */
+export const parseViewLink = (hash) => {
+    const query = new URLSearchParams(String(hash ?? '').replace(/^#/, ''));
+    const state = {params: {}};
+    const jd = parseNumber(query.get('jd'));
+    if (Number.isFinite(jd)) state.jd = jd;
+    const paused = parseParam({type: 'boolean'}, query.get('paused'));
+    if (paused !== undefined) state.paused = paused;
+    if (query.get('focus')) state.focus = query.get('focus');
+    const offset = parseVector(query.get('cam'));
+    if (offset && offset.some((v) => v !== 0)) state.offset = offset; // a zero offset has no view direction
+    const target = parseVector(query.get('target'));
+    if (target) state.target = target;
+    Object.entries(LINK_PARAMS).forEach(([key, spec]) => {
+        if (!query.has(key)) return;
+        const value = parseParam(spec, query.get(key));
+        if (value !== undefined) state.params[key] = value;
+    });
+    return state;
+};
@@ -0,0 +1,153 @@
+/*
+ WebM muxer
+ ----------
+ The smallest WebM (Matroska) writer that players accept, for video chunks coming out of a
+ WebCodecs VideoEncoder (capture.js): an EBML header, then one Segment holding Info (duration),
+ Tracks (a single VP8/VP9 video track) and Clusters of SimpleBlocks. A new Cluster starts at
+ every key frame, and before the 16-bit block time offset (ms) would overflow.
+ There are no Cues: players seek by scanning clusters, which is fine for short recordings.
+ Everything is kept in memory and written once by finish().
+*/
+
+const ID = {
+    EBML: 0x1a45dfa3,
+    EBMLVersion: 0x4286,
+    EBMLReadVersion: 0x42f7,
+    EBMLMaxIDLength: 0x42f2,
+    EBMLMaxSizeLength: 0x42f3,
+    DocType: 0x4282,
+    DocTypeVersion: 0x4287,
+    DocTypeReadVersion: 0x4285,
+    Segment: 0x18538067,
+    Info: 0x1549a966,
+    TimecodeScale: 0x2ad7b1,
+    MuxingApp: 0x4d80,
+    WritingApp: 0x5741,
+    Duration: 0x4489,
+    Tracks: 0x1654ae6b,
+    TrackEntry: 0xae,
+    TrackNumber: 0xd7,
+    TrackUID: 0x73c5,
+    TrackType: 0x83,
+    FlagLacing: 0x9c,
+    CodecID: 0x86,
+    DefaultDuration: 0x23e383,
+    Video: 0xe0,
+    PixelWidth: 0xb0,
+    PixelHeight: 0xba,
+    Cluster: 0x1f43b675,
+    Timecode: 0xe7,
+    SimpleBlock: 0xa3
+};
+
+// WebCodecs codec string -> Matroska codec ID
+const CODEC_IDS = {vp8: 'V_VP8', vp09: 'V_VP9'};
+
+// big-endian bytes of a non-negative integer, at least one byte
+const uintBytes = (value) => {
+    const bytes = [];
+    do {
+        bytes.unshift(value % 256);
+        value = Math.floor(value / 256);
+    } while (value > 0);
+    return bytes;
+};
+
+// EBML variable-length size: a length marker bit followed by the value (all-ones is reserved)
+const sizeBytes = (size) => {
+    let length = 1;
+    while (size >= 2 ** (7 * length) - 1) length++;
+    const bytes = uintBytes(size);
+    while (bytes.length < length) bytes.unshift(0);
+    bytes[0] |= 1 << (8 - length);
+    return bytes;
+};
+
+const concat = (parts) => {
+    const out = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    parts.forEach((part) => {
+        out.set(part, offset);
+        offset += part.length;
+    });
+    return out;
+};
+
+// element = ID (its bytes carry their own length marker) + size + payload
+const element = (id, payload) => {
+    const body = Array.isArray(payload) ? concat(payload) : payload;
+    return concat([Uint8Array.from(uintBytes(id)), Uint8Array.from(sizeBytes(body.length)), body]);
+};
+const uint = (id, value) => element(id, Uint8Array.from(uintBytes(value)));
+const string = (id, value) => element(id, new TextEncoder().encode(value));
+const float = (id, value) => {
+    const bytes = new Uint8Array(8);
+    new DataView(bytes.buffer).setFloat64(0, value);
+    return element(id, bytes);
+};
+
+/**
+ * Collect encoded video chunks and write a WebM file.
+ * @param {{width:number, height:number, codec:string, fps:number}} options
+ *   codec: the VideoEncoder codec string ('vp8' or 'vp09.…').
+ * @returns {{addChunk:function(EncodedVideoChunk):void, finish:function():Blob}}
+ */
+export const createWebMMuxer = ({width, height, codec, fps}) => {
+    const codecId = CODEC_IDS[codec.split('.')[0]];
+    if (!codecId) throw new Error(`WebM cannot hold codec "${codec}"`);
+    const clusters = []; // [{time, blocks: Uint8Array[]}], times in ms
+    let duration = 0;
+
+    return {
+        addChunk: (chunk) => {
+            const time = Math.round(chunk.timestamp / 1000); // µs -> ms (TimecodeScale)
+            const key = chunk.type === 'key';
+            let cluster = clusters[clusters.length - 1];
+            if (!cluster || key || time - cluster.time > 32767) {
+                cluster = {time, blocks: []};
+                clusters.push(cluster);
+            }
+            const data = new Uint8Array(chunk.byteLength);
+            chunk.copyTo(data);
+            const header = new Uint8Array(4);
+            header[0] = 0x81; // track number 1 as a 1-byte size
+            new DataView(header.buffer).setInt16(1, time - cluster.time);
+            header[3] = key ? 0x80 : 0;
+            cluster.blocks.push(element(ID.SimpleBlock, [header, data]));
+            duration = Math.max(duration, time + (chunk.duration ?? 1e6 / fps) / 1000);
+        },
+
+        finish: () => {
+            const header = element(ID.EBML, [
+                uint(ID.EBMLVersion, 1),
+                uint(ID.EBMLReadVersion, 1),
+                uint(ID.EBMLMaxIDLength, 4),
+                uint(ID.EBMLMaxSizeLength, 8),
+                string(ID.DocType, 'webm'),
+                uint(ID.DocTypeVersion, 2),
+                uint(ID.DocTypeReadVersion, 2)
+            ]);
+            const segment = element(ID.Segment, [
+                element(ID.Info, [
+                    uint(ID.TimecodeScale, 1000000), // 1 ms
+                    string(ID.MuxingApp, 'solar-system'),
+                    string(ID.WritingApp, 'solar-system'),
+                    float(ID.Duration, duration)
+                ]),
+                element(ID.Tracks, [
+                    element(ID.TrackEntry, [
+                        uint(ID.TrackNumber, 1),
+                        uint(ID.TrackUID, 1),
+                        uint(ID.TrackType, 1), // video
+                        uint(ID.FlagLacing, 0),
+                        string(ID.CodecID, codecId),
+                        uint(ID.DefaultDuration, Math.round(1e9 / fps)), // ns per frame
+                        element(ID.Video, [uint(ID.PixelWidth, width), uint(ID.PixelHeight, height)])
+                    ])
+                ]),
+                ...clusters.map(({time, blocks}) => element(ID.Cluster, [uint(ID.Timecode, time), ...blocks]))
+            ]);
+            return new Blob([header, segment], {type: 'video/webm'});
+        }
+    };
+};